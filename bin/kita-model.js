@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/* Runs batches of scenarios through the same model as the app and prints the
+   results as CSV or JSON.
+
+     kita-model run scenarios.json [--horizon 18] [--format csv|json] [--monthly] [--out results.csv]
+
+   See "Running scenarios from the command line" in the README for the file
+   format. */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { runScenario, parseProfile, assumptionErrors, BUILT_IN_PROFILES, csvCell } from "../src/model/index.js";
+
+/* Same range as the app's horizon control. */
+const HORIZON = { min: 6, max: 60, fallback: 12 };
+const FORMATS = ["csv", "json"];
+const MONTHLY_FIELDS = ["leads", "newCustomers", "churnedCustomers", "customers", "mrr", "cash"];
+
+const USAGE = `Usage: kita-model run <scenarios.json> [options]
+
+Options:
+  --horizon <months>   projection length, ${HORIZON.min}–${HORIZON.max} (default: the file's, else ${HORIZON.fallback})
+  --format <csv|json>  output format (default: csv)
+  --monthly            one row per scenario per month instead of one per scenario
+  --out <file>         write to a file instead of stdout
+  -h, --help           show this help`;
+
+class UsageError extends Error {}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function readJSON(path) {
+  let text;
+  try { text = readFileSync(path, "utf8"); } catch { throw new UsageError(`Can't read ${path}.`); }
+  try { return JSON.parse(text); } catch { throw new UsageError(`${path} isn't valid JSON.`); }
+}
+
+/* The profile a scenario file runs against: inline, a path relative to the
+   file, or the built-in one when it names none. */
+function loadProfile(spec, baseDir) {
+  if (spec === undefined) return BUILT_IN_PROFILES[0];
+  const raw = typeof spec === "string" ? readJSON(resolve(baseDir, spec)) : spec;
+  const result = parseProfile(raw);
+  if (result.errors) throw new UsageError(`The profile has problems:\n  ${result.errors.join("\n  ")}`);
+  return result.profile;
+}
+
+/* Every combination of a grid's values, e.g. { arpu: [5, 6], churnRate: [3] }
+   → [{ arpu: 5, churnRate: 3 }, { arpu: 6, churnRate: 3 }]. */
+function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [key, options]) => combos.flatMap(combo => options.map(value => ({ ...combo, [key]: value }))),
+    [{}],
+  );
+}
+
+/* One entry per run: a scenario with a grid becomes one run per combination,
+   named after the values it picked. */
+function expandScenarios(list) {
+  if (!Array.isArray(list) || list.length === 0) throw new UsageError("The file needs a non-empty list of scenarios.");
+  return list.flatMap((scenario, i) => {
+    const name = typeof scenario?.name === "string" && scenario.name.trim() ? scenario.name.trim() : `scenario ${i + 1}`;
+    if (!isObject(scenario)) throw new UsageError(`${name} must be an object.`);
+    const { assumptions = {}, values = {}, grid } = scenario;
+    ["assumptions", "values", "grid"].forEach(field => {
+      if (scenario[field] !== undefined && !isObject(scenario[field])) throw new UsageError(`${name}: ${field} must be an object.`);
+    });
+    if (grid === undefined) return [{ name, assumptions, values }];
+    Object.entries(grid).forEach(([key, options]) => {
+      if (!Array.isArray(options) || options.length === 0) throw new UsageError(`${name}: grid.${key} must be a non-empty list.`);
+    });
+    return expandGrid(grid).map(combo => ({
+      name: `${name} [${Object.entries(combo).map(([key, value]) => `${key}=${value}`).join(", ")}]`,
+      assumptions,
+      values: { ...values, ...combo },
+    }));
+  });
+}
+
+function parseHorizon(value) {
+  const months = Number(value);
+  if (!Number.isInteger(months) || months < HORIZON.min || months > HORIZON.max) {
+    throw new UsageError(`--horizon must be a whole number of months from ${HORIZON.min} to ${HORIZON.max}.`);
+  }
+  return months;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function runAll(path, options) {
+  const file = readJSON(path);
+  const spec = Array.isArray(file) ? { scenarios: file } : file;
+  if (!isObject(spec)) throw new UsageError(`${path} must hold a list of scenarios or an object with "scenarios".`);
+  const profile = loadProfile(spec.profile, dirname(resolve(path)));
+  const months = parseHorizon(options.horizon ?? spec.horizon ?? HORIZON.fallback);
+  const runs = expandScenarios(spec.scenarios);
+
+  const errors = runs.flatMap(run => [
+    ...assumptionErrors(run.assumptions, "assumptions"),
+    ...assumptionErrors(run.values, "values"),
+  ].map(error => `${run.name}: ${error}`));
+  if (errors.length) throw new UsageError(`The scenarios have problems:\n  ${[...new Set(errors)].join("\n  ")}`);
+
+  return runs.map(run => {
+    const result = runScenario({
+      assumptions: { ...profile.assumptions, ...run.assumptions },
+      levers: profile.levers,
+      values: run.values,
+      months,
+    });
+    const end = result.scenario[months];
+    return {
+      scenario: run.name,
+      assumptions: run.assumptions,
+      values: run.values,
+      months,
+      baselineMRR: result.baselineMRR,
+      mrr: result.mrr,
+      lift: result.lift,
+      customers: round(end.customers),
+      cash: Math.round(end.cash),
+      impacts: result.impacts,
+      monthly: result.scenario.map(row => ({
+        month: row.month,
+        ...Object.fromEntries(MONTHLY_FIELDS.map(field => [field, round(row[field])])),
+        baselineMRR: result.baseline[row.month].mrr,
+      })),
+    };
+  });
+}
+
+/* One column per assumption or value any scenario sets, so grids line up for
+   pivoting; blank means the profile's own value. */
+function toCSV(results, monthly) {
+  const keys = (field) => [...new Set(results.flatMap(r => Object.keys(r[field])))]
+    .filter(key => results.every(r => !Array.isArray(r[field][key]) && !isObject(r[field][key])));
+  const assumptionKeys = keys("assumptions");
+  const valueKeys = keys("values");
+  const setting = (r) => [...assumptionKeys.map(key => r.assumptions[key]), ...valueKeys.map(key => r.values[key])];
+  const head = ["scenario", ...assumptionKeys, ...valueKeys];
+
+  const rows = monthly
+    ? [[...head, "month", ...MONTHLY_FIELDS, "baselineMRR"],
+      ...results.flatMap(r => r.monthly.map(row => [
+        r.scenario, ...setting(r), row.month, ...MONTHLY_FIELDS.map(field => row[field]), row.baselineMRR,
+      ]))]
+    : [[...head, "months", "baselineMRR", "mrr", "lift", "customers", "cash"],
+      ...results.map(r => [r.scenario, ...setting(r), r.months, r.baselineMRR, r.mrr, r.lift, r.customers, r.cash])];
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function toJSON(results, monthly) {
+  return JSON.stringify(results.map(({ monthly: rows, ...r }) => (monthly ? { ...r, monthly: rows } : r)), null, 2) + "\n";
+}
+
+function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      horizon: { type: "string" },
+      format: { type: "string", default: "csv" },
+      monthly: { type: "boolean", default: false },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (options.help) { console.log(USAGE); return; }
+  const [command, path, ...extra] = positionals;
+  if (command !== "run" || !path || extra.length) throw new UsageError(USAGE);
+  if (!FORMATS.includes(options.format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}.`);
+
+  const results = runAll(path, options);
+  const output = options.format === "csv" ? toCSV(results, options.monthly) : toJSON(results, options.monthly);
+  if (options.out) writeFileSync(options.out, output);
+  else process.stdout.write(output);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  if (!(error instanceof UsageError) && !error.code?.startsWith("ERR_PARSE_ARGS")) throw error;
+  console.error(error.message);
+  process.exitCode = 1;
+}
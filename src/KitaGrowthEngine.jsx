@@ -1,273 +1,1666 @@
-import { useState } from "react";
-
-/* ───────── editable baseline assumptions ───────── */
-const DEFAULT_ASSUMPTIONS = {
-  customers: 20,
-  arpu: 6,
-  churnRate: 5,
-  activationRate: 35,
-  leadsPerMonth: 50,
-  demoRate: 45,
-  trialRate: 65,
-  paidRate: 55,
-  leadGrowthRate: 8,
-};
+import { Fragment, useEffect, useMemo, useState } from "react";
+import {
+  ASSUMPTION_META, RUNWAY_LOOKAHEAD, FUNNEL_STAGES, DAYS_PER_MONTH, RETENTION_CURVES, SEGMENT_KEYS,
+  PHASED_KEYS, assumptionMeta, lagInMonths, cohortSurvival, simulateMonths, calculateMRR, unitEconomics,
+  runwaySummary, revenueRetention, calcIndependentImpact, formatMRR, rolloutFor, ARPU_ROLLOUT_MODES,
+  LEVER_DIRECTIONS, customLever, leverPlan, BUILT_IN_PROFILES, parseProfile, assumptionErrors, DISTRIBUTIONS, SIMULATION_RUNS,
+  uncertaintyFor, runMonteCarlo, goalProbability, seekGoal, attributeLift, DEFAULT_SENSITIVITY, withAssumption,
+  sensitivityAnalysis, parseNumberList, parseActivationHistory, calibrateActivationWeight, generateCoreInsight,
+  ACTUALS_COLUMNS, parseActuals, anchorToActuals, fitAssumptions, PLAN_DRIVERS, lockPlan, planVariance, reforecast,
+  MAX_COMPARED, COMPARISON_METRICS, scenarioMetrics, metricDeltas, MONTHLY_COLUMNS, monthlyCSV,
+  scenarioWorkbook, writeXlsx,
+} from "./model/index.js";
 
-/* Activation drives ~40% of new customer variance; the rest is sales effort,
-   market timing, etc. Kept as an internal model parameter, not user-facing. */
-const ACTIVATION_WEIGHT = 0.4;
-
-const ASSUMPTION_META = {
-  customers:       { label: "Current customers",  unit: "",  prefix: "",  step: 1,   min: 1,   max: 200, group: "business" },
-  arpu:            { label: "ARPU",               unit: "K", prefix: "$", step: 0.5, min: 1,   max: 30,  group: "business" },
-  churnRate:       { label: "Monthly churn",      unit: "%", prefix: "",  step: 0.5, min: 0.5, max: 15,  group: "business" },
-  activationRate:  { label: "Activation rate",    unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "business" },
-  leadsPerMonth:   { label: "Leads / month",      unit: "",  prefix: "",  step: 5,   min: 10,  max: 500, group: "funnel" },
-  demoRate:        { label: "Lead → Demo",        unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "funnel" },
-  trialRate:       { label: "Demo → Trial",       unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "funnel" },
-  paidRate:        { label: "Trial → Paid",       unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "funnel" },
-  leadGrowthRate:  { label: "Lead growth / mo",   unit: "%", prefix: "",  step: 1,   min: 0,   max: 30,  group: "funnel" },
-};
+/* ───────── browser storage ───────── */
+const PLANS_KEY = "kita-growth-engine:plans";
+const SCENARIOS_KEY = "kita-growth-engine:scenarios";
+const OPEN_SCENARIO_KEY = "kita-growth-engine:open-scenario";
 
-/* ───────── growth levers ───────── */
-const LEVERS = [
-  {
-    id: "churn",
-    label: "Retention",
-    subtitle: "Monthly churn rate",
-    unit: "%",
-    baseKey: "churnRate",
-    targetValue: 2,
-    min: 0.5,
-    max: 10,
-    step: 0.5,
-    direction: "lower-is-better",
-    insight: "At this stage, churn isn't a math problem — it's a diagnostic. Each lost customer is a case study in what's not working. If your early customers are staying, that's your PMF signal: you're ready to scale acquisition. If they're not, more leads won't fix it — you'd be spending to fill a pool you haven't sealed.",
-    tactics: [
-      "Health Score dashboard: flag accounts when doc volume drops >30% MoM",
-      "Recovery playbook: auto-email (Day 1) → call (Day 3) → incentive (Day 7) → founder outreach (Day 14)",
-      "Monthly check-in emails showing ROI: fraud caught, hours saved, cost reduced — takes 10 min to personalize",
-      "Weekly value reports: e.g. \"You caught 3 frauds worth ₱400K this week\""
-    ],
-    analogy: "Think of early customers like a beta test with real stakes. You're not optimizing a funnel yet — you're learning whether the product delivers what you promised. Retention at this stage tells you whether to step on the gas or fix the engine first."
-  },
-  {
-    id: "arpu",
-    label: "Monetization",
-    subtitle: "Average revenue per user",
-    unit: "K",
-    prefix: "$",
-    baseKey: "arpu",
-    targetValue: 9,
-    min: 2,
-    max: 20,
-    step: 0.5,
-    direction: "higher-is-better",
-    insight: "If Kita saves a customer, say, $100K/year in fraud losses, then a $20K/year price point (20% of value delivered) becomes easy to justify. A Van Westendorp survey on your current base would reveal the actual acceptable range — most B2B infra companies are underpriced early on.",
-    tactics: [
-      "Run Van Westendorp pricing survey to find your actual acceptable price range",
-      "Structure Good-Better-Best tiers using MaxDiff feature ranking from customers",
-      "Expand within accounts: bank statements → payslips, utility bills, tax docs",
-      "Proactive outreach when customers hit 80% of their tier volume limit"
-    ],
-    analogy: "Like a gym membership — some members only use the treadmill. Show them the pool, the classes, the sauna. Same customer, 3× the value captured."
-  },
-  {
-    id: "activation",
-    label: "Activation",
-    subtitle: "% reaching Aha! in 14 days",
-    unit: "%",
-    baseKey: "activationRate",
-    targetValue: 60,
-    min: 10,
-    max: 90,
-    step: 5,
-    direction: "higher-is-better",
-    insight: "Every customer that doesn't activate is acquisition spend wasted. The typical drop-off in developer-facing B2B products is at integration — going from \"signed\" to \"actually running in production.\" Reducing that friction directly multiplies your funnel efficiency.",
-    tactics: [
-      "White-glove setup call within 48 hours of contract signing",
-      "Integration wizard: auto-configure API + code samples by document type",
-      "\"Test mode\" with dummy data — zero real integration needed to see value",
-      "\"First 1,000 docs free\" to de-risk the integration investment"
-    ],
-    analogy: "Like a restaurant where most customers leave before tasting the food. The kitchen is great — the problem is the 45-minute wait for a table."
+/* Reads a JSON value from localStorage, falling back when storage is
+   unavailable (server render, private mode) or the entry is unreadable. */
+function readStored(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
   }
-];
+}
 
-/* ───────── model math ───────── */
-function calculateMRR(assumptions, churnOverride, arpuOverride, activationOverride, month) {
-  const churn = churnOverride ?? assumptions.churnRate;
-  const arpu = arpuOverride ?? assumptions.arpu;
-  const activation = activationOverride ?? assumptions.activationRate;
-  const activationRatio = activation / assumptions.activationRate;
-  const w = ACTIVATION_WEIGHT;
-
-  let customers = assumptions.customers;
-  for (let m = 1; m <= month; m++) {
-    const leads = assumptions.leadsPerMonth * Math.pow(1 + assumptions.leadGrowthRate / 100, m);
-    const newCustomers = leads
-      * (assumptions.demoRate / 100)
-      * (assumptions.trialRate / 100)
-      * (assumptions.paidRate / 100)
-      * (activationRatio * w + (1 - w));
-    const retained = customers * (1 - churn / 100);
-    customers = retained + newCustomers;
+function writeStored(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    /* Storage full or unavailable: the change still holds for this session. */
   }
-  return Math.round(customers * arpu * 1000);
-}
-
-function calcIndependentImpact(assumptions, leverId, value) {
-  const baseMRR = calculateMRR(assumptions, assumptions.churnRate, assumptions.arpu, assumptions.activationRate, 12);
-  const o = { churn: assumptions.churnRate, arpu: assumptions.arpu, activation: assumptions.activationRate };
-  o[leverId] = value;
-  const newMRR = calculateMRR(assumptions, o.churn, o.arpu, o.activation, 12);
-  return Math.round(((newMRR - baseMRR) / baseMRR) * 100);
-}
-
-function formatMRR(value) {
-  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
-  if (value >= 1000) return `$${(value / 1000).toFixed(0)}K`;
-  return `$${value}`;
-}
-
-/* ───────── dynamic insight generator ───────── */
-function generateCoreInsight(assumptions, churn, arpu, activation) {
-  const impacts = [
-    { label: "retention", pct: Math.abs(calcIndependentImpact(assumptions, "churn", churn)), leverId: "churn" },
-    { label: "monetization", pct: Math.abs(calcIndependentImpact(assumptions, "arpu", arpu)), leverId: "arpu" },
-    { label: "activation", pct: Math.abs(calcIndependentImpact(assumptions, "activation", activation)), leverId: "activation" },
-  ].sort((a, b) => b.pct - a.pct);
-
-  const modified = impacts.filter(i => i.pct > 0);
-
-  if (modified.length === 0) {
-    const targetImpacts = [
-      { label: "retention", pct: Math.abs(calcIndependentImpact(assumptions, "churn", 2)) },
-      { label: "monetization", pct: Math.abs(calcIndependentImpact(assumptions, "arpu", 9)) },
-      { label: "activation", pct: Math.abs(calcIndependentImpact(assumptions, "activation", 60)) },
-    ].sort((a, b) => b.pct - a.pct);
-    const top = targetImpacts[0];
-    const second = targetImpacts[1];
-    return `At these baselines, ${top.label} (+${top.pct}%) and ${second.label} (+${second.pct}%) have the largest upside at their target values. Drag the sliders to explore.`;
+}
+
+/* What a scenario holds: everything that changes the projection. A saved
+   scenario adds an id, a name and, for a company loaded from JSON, that
+   profile. */
+function scenarioState({ profileId, assumptions, levers, leverValues, rollout, horizon }) {
+  return { profileId, assumptions, levers, leverValues, rollout, horizon };
+}
+
+function scenarioDefaults(profile, horizon = DEFAULT_HORIZON) {
+  return scenarioState({
+    profileId: profile.id, assumptions: profile.assumptions, levers: profile.levers,
+    leverValues: {}, rollout: rolloutFor(profile.levers), horizon,
+  });
+}
+
+/* The scenario that was open at the end of the last visit, if it still exists. */
+function lastOpenScenario() {
+  const id = readStored(OPEN_SCENARIO_KEY, null);
+  return readStored(SCENARIOS_KEY, []).find(s => s.id === id) ?? null;
+}
+
+/* ───────── shareable links ───────── */
+/* A link carries the view in its hash as #s=<version>.<base64url JSON>. New
+   formats get a new version; older readers stay so their links keep working. */
+const SHARE_VERSION = "v1";
+
+/* base64url of UTF-8 text, so non-ASCII labels survive the trip. */
+function toBase64Url(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+const changedFrom = (values, defaults) => Object.fromEntries(
+  Object.entries(values).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key]))
+);
+
+/* Hash for a view. Only what differs from the company's defaults is written,
+   under short keys, to keep links pasteable; a company loaded from JSON
+   travels with the link. */
+function shareHash(state, profile, expanded) {
+  const payload = {
+    p: profile.id,
+    a: changedFrom(state.assumptions, profile.assumptions),
+    v: state.leverValues,
+    h: [state.horizon.months, state.horizon.ticks],
+    r: changedFrom(state.rollout, rolloutFor(state.levers)),
+    ...(JSON.stringify(state.levers) !== JSON.stringify(profile.levers) ? { l: state.levers } : {}),
+    ...(BUILT_IN_PROFILES.some(p => p.id === profile.id) ? {} : { P: profile }),
+    ...(expanded ? { e: expanded } : {}),
+  };
+  return `#s=${SHARE_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/* A company carried inline in a link keeps its id unless a built-in company,
+   or a differently named one saved with a scenario, already uses it; then it
+   becomes "<id>-link", "<id>-link-2", … so the two never share scenarios or
+   plans. */
+function linkedProfileId(profile) {
+  const saved = readStored(SCENARIOS_KEY, []).map(s => s.profile).filter(Boolean);
+  const taken = (id) => BUILT_IN_PROFILES.some(p => p.id === id) || saved.some(p => p.id === id && p.name !== profile.name);
+  if (!taken(profile.id)) return profile.id;
+  let n = 1;
+  const candidate = () => `${profile.id}-link${n === 1 ? "" : `-${n}`}`;
+  while (taken(candidate())) n += 1;
+  return candidate();
+}
+
+/* Link readers by version. Each returns a scenario state (plus `profile` for
+   a company loaded from JSON, and the expanded lever card) or null when the
+   link doesn't check out. */
+const SHARE_READERS = {
+  v1: (payload) => {
+    const inline = payload.P && parseProfile(payload.P).profile;
+    const profile = inline ? { ...inline, id: linkedProfileId(inline) } : !payload.P && BUILT_IN_PROFILES.find(p => p.id === payload.p);
+    if (!profile) return null;
+    const levers = payload.l ? parseProfile({ name: profile.name, levers: payload.l }).profile?.levers : profile.levers;
+    const [months, ticks] = payload.h ?? [];
+    const validHorizon = Number.isInteger(months) && months >= HORIZON_META.min && months <= HORIZON_META.max && TICK_STEP[ticks];
+    if (!levers || assumptionErrors({ ...payload.a, ...payload.v }, "link").length) return null;
+    /* Only the profile's levers, each held to its slider's range. */
+    const leverValues = {};
+    levers.forEach(({ baseKey, min, max }) => {
+      const value = payload.v?.[baseKey];
+      if (Number.isFinite(value)) leverValues[baseKey] = Math.min(max, Math.max(min, value));
+    });
+    const rollout = rolloutFor(levers);
+    Object.entries(payload.r ?? {}).forEach(([key, r]) => {
+      if (rollout[key] && Number.isFinite(r?.start) && Number.isFinite(r?.ramp)) rollout[key] = r;
+    });
+    return {
+      ...scenarioState({
+        profileId: profile.id,
+        assumptions: { ...profile.assumptions, ...payload.a },
+        levers,
+        leverValues,
+        rollout,
+        horizon: validHorizon ? { months, ticks } : DEFAULT_HORIZON,
+      }),
+      ...(payload.P ? { profile } : {}),
+      expanded: levers.some(l => l.id === payload.e) ? payload.e : null,
+    };
+  },
+};
+
+const SHARE_HASH = /^#s=(\w+)\.([\w-]+)$/;
+
+/* The view encoded in the page's link, if it has a readable one. */
+function linkedScenario() {
+  try {
+    const match = window.location.hash.match(SHARE_HASH);
+    const read = match && SHARE_READERS[match[1]];
+    return read ? read(JSON.parse(fromBase64Url(match[2]))) : null;
+  } catch {
+    return null;
   }
+}
+
+/* ───────── projection horizon ───────── */
+const DEFAULT_HORIZON = { months: 12, ticks: "quarterly" };
+const HORIZON_META = { min: 6, max: 60, step: 1 };
+const TICK_STEP = { monthly: 1, quarterly: 3 };
+
+/* Chart ticks from month 0 to the horizon; the last tick is always the horizon
+   itself, even when it doesn't land on a quarter. */
+function horizonTicks(horizon) {
+  const step = TICK_STEP[horizon.ticks];
+  const ticks = [];
+  for (let m = 0; m < horizon.months; m += step) ticks.push(m);
+  ticks.push(horizon.months);
+  return ticks;
+}
+
+const SENSITIVITY_MODES = {
+  percent: { label: "± %" },
+  range: { label: "Min / max" },
+};
+
+/* ───────── small components ───────── */
+function AssumptionInput({ id, meta, value, onChange }) {
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", justifyContent: "space-between",
+      padding: "8px 0", borderBottom: "1px solid rgba(255,255,255,0.04)",
+      gap: 12,
+    }}>
+      <label style={{ fontSize: 12, color: "rgba(255,255,255,0.5)", fontFamily: "'DM Sans', sans-serif", whiteSpace: "nowrap" }}>
+        {meta.label}
+      </label>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 4, width: 110, flexShrink: 0 }}>
+        <span style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", minWidth: 10, textAlign: "right" }}>{meta.prefix}</span>
+        <input type="number" value={value} min={meta.min} max={meta.max} step={meta.step}
+          onChange={(e) => onChange(id, parseFloat(e.target.value) || 0)}
+          style={{
+            width: 64, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+            borderRadius: 6, padding: "5px 10px", color: "#fff", fontSize: 13,
+            fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+          }}
+          onFocus={(e) => e.target.style.borderColor = "rgba(107,142,80,0.5)"}
+          onBlur={(e) => e.target.style.borderColor = "rgba(255,255,255,0.1)"}
+        />
+        <span style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", minWidth: 14 }}>{meta.unit}</span>
+      </div>
+    </div>
+  );
+}
 
-  const top = modified[0];
-  if (modified.length === 1) {
-    return `With your current adjustments, ${top.label} is driving all the MRR movement (+${top.pct}%). Try combining levers — the effects multiply.`;
+/* The survival table is edited as text. A table set from outside (a loaded
+   scenario, link or profile) replaces the text unless an edit is still
+   failing to parse; the table this editor set itself leaves it alone. */
+function RetentionCurveEditor({ assumptions, onChange }) {
+  const [tableText, setTableText] = useState(assumptions.survivalTable.join(", "));
+  const [tableError, setTableError] = useState(null);
+  const [shownTable, setShownTable] = useState(assumptions.survivalTable);
+  const curve = assumptions.retentionCurve;
+
+  if (assumptions.survivalTable !== shownTable && !tableError) {
+    setShownTable(assumptions.survivalTable);
+    setTableText(assumptions.survivalTable.join(", "));
   }
-  const acqImpact = modified.find(i => i.leverId === "activation");
-  const retMonImpact = modified.filter(i => i.leverId !== "activation");
-  if (retMonImpact.length >= 2 && acqImpact && retMonImpact.reduce((s, i) => s + i.pct, 0) > acqImpact.pct * 1.5) {
-    return `Retention + monetization are driving ${retMonImpact.reduce((s, i) => s + i.pct, 0)}% combined uplift vs ${acqImpact.pct}% from activation alone. Retention confirms PMF; monetization funds the next phase of growth.`;
+
+  const handleTableChange = (text) => {
+    setTableText(text);
+    const values = parseNumberList(text);
+    if (values.length === 0) { setTableError("Paste at least one survival percentage."); return; }
+    if (values.some(v => v < 0 || v > 100)) { setTableError("Survival values must be between 0 and 100%."); return; }
+    if (values.some((v, i) => i > 0 && v > values[i - 1])) { setTableError("Survival can't increase from one month to the next."); return; }
+    setTableError(null);
+    setShownTable(values);
+    onChange("survivalTable", values);
+  };
+
+  const survivalAt = [3, 6, 12].map(age => ({ age, pct: Math.round(cohortSurvival(assumptions, age) * 100) }));
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8 }}>
+        Retention Curve
+      </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+        {Object.entries(RETENTION_CURVES).map(([id, c]) => (
+          <button key={id} onClick={() => onChange("retentionCurve", id)}
+            style={{
+              background: curve === id ? "rgba(200,170,80,0.12)" : "none",
+              border: curve === id ? "1px solid rgba(200,170,80,0.35)" : "1px solid rgba(255,255,255,0.08)",
+              color: curve === id ? "rgba(200,170,80,0.9)" : "rgba(255,255,255,0.4)",
+              padding: "4px 10px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif",
+            }}>
+            {c.label}
+          </button>
+        ))}
+      </div>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5, marginBottom: 8 }}>
+        {RETENTION_CURVES[curve].hint}
+      </div>
+      {curve === "early-life" && (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 32px" }}>
+          {["earlyChurnRate", "earlyLifeMonths"].map(key => (
+            <AssumptionInput key={key} id={key} meta={ASSUMPTION_META[key]} value={assumptions[key]} onChange={onChange} />
+          ))}
+        </div>
+      )}
+      {curve === "table" && (
+        <div>
+          <textarea value={tableText} onChange={(e) => handleTableChange(e.target.value)} rows={2}
+            placeholder="e.g. 82, 74, 70, 68, 66, 65"
+            style={{
+              width: "100%", background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+              borderRadius: 6, padding: "6px 10px", color: "#fff", fontSize: 12, resize: "vertical",
+              fontFamily: "'DM Sans', sans-serif", outline: "none",
+            }}
+          />
+          {tableError && (
+            <div style={{ fontSize: 11, color: "rgba(200,100,80,0.9)", marginTop: 4 }}>{tableError}</div>
+          )}
+        </div>
+      )}
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 8 }}>
+        New cohort still active: {survivalAt.map(s => `${s.pct}% at M${s.age}`).join(" · ")}
+      </div>
+    </div>
+  );
+}
+
+function ActivationWeightEditor({ assumptions, onChange }) {
+  const [calibrating, setCalibrating] = useState(false);
+  const [historyText, setHistoryText] = useState("");
+  const parsed = historyText.trim() ? parseActivationHistory(historyText) : null;
+  const fit = parsed?.rows ? calibrateActivationWeight(parsed.rows, assumptions.activationRate) : null;
+  const error = parsed?.error ?? fit?.error;
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(107,142,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8 }}>
+        Activation Weight
+      </div>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5, marginBottom: 8 }}>
+        The share of trial → paid conversion that moves with activation. At {assumptions.activationWeight}%, doubling activation
+        lifts conversion by {assumptions.activationWeight}%;
+        the rest comes from sales effort, timing and fit. It caps how much the Activation lever can ever matter.
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 32px" }}>
+        <AssumptionInput id="activationWeight" meta={ASSUMPTION_META.activationWeight} value={assumptions.activationWeight} onChange={onChange} />
+      </div>
+      <button onClick={() => setCalibrating(!calibrating)} style={linkStyle}>
+        {calibrating ? "Hide calibration ↑" : "Calibrate from history ↓"}
+      </button>
+      {calibrating && (
+        <div style={{ marginTop: 8, animation: "fadeSlideIn 0.3s ease" }}>
+          <textarea value={historyText} onChange={(e) => setHistoryText(e.target.value)} rows={4}
+            placeholder={"One month per line: activation %, new paid, leads (optional)\ne.g. 30, 4, 48\n38, 6, 52\n45, 7, 50"}
+            style={{
+              width: "100%", background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+              borderRadius: 6, padding: "6px 10px", color: "#fff", fontSize: 12, resize: "vertical",
+              fontFamily: "'DM Sans', sans-serif", outline: "none",
+            }}
+          />
+          {error && <div style={{ fontSize: 11, color: "rgba(200,100,80,0.9)", marginTop: 4 }}>{error}</div>}
+          {fit && !fit.error && (
+            <div style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 11, color: "rgba(255,255,255,0.4)", marginTop: 6 }}>
+              <span>
+                Estimated weight <span style={{ color: "#fff", fontWeight: 600 }}>{fit.weight}%</span>
+                {" "}· R² {fit.r2.toFixed(2)} over {fit.months} months
+                {fit.r2 < 0.3 && " — a weak fit, treat with care"}
+              </span>
+              <button onClick={() => onChange("activationWeight", fit.weight)} style={linkStyle}>Apply</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Assumptions estimated from imported actuals beside their current values,
+   with each fit's R² and the months it drew on. Apply replaces the ticked
+   ones. */
+function FitFromActuals({ assumptions, actuals, onApply }) {
+  const result = useMemo(() => actuals && fitAssumptions(actuals, assumptions), [actuals, assumptions]);
+  const [unticked, setUnticked] = useState([]);
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(200,170,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+  const format = (key, value) => `${ASSUMPTION_META[key].prefix}${value}${ASSUMPTION_META[key].unit}`;
+  const chosen = result ? result.fits.filter(f => !unticked.includes(f.key) && f.value !== assumptions[f.key]) : [];
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8 }}>
+        Fit From Actuals
+      </div>
+      {!result ? (
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5 }}>
+          Import monthly actuals under the MRR chart to estimate churn, ARPU, lead volume and growth, and funnel conversion from history.
+        </div>
+      ) : (
+        <>
+          {result.fits.length > 0 && (
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5, marginBottom: 6 }}>
+              Churn is the blended rate across all tenures
+              {assumptions.retentionCurve !== "flat" && ", so applying it switches the retention curve to flat"}.
+              An R² under 0.5 means the months disagree and the estimate is rough.
+            </div>
+          )}
+          {result.fits.map(fit => {
+            const same = fit.value === assumptions[fit.key];
+            return (
+              <div key={fit.key} style={{
+                display: "grid", gridTemplateColumns: "18px 1fr 64px 64px 1.3fr", gap: 8, alignItems: "baseline",
+                padding: "5px 0", borderBottom: "1px solid rgba(255,255,255,0.04)", fontSize: 12,
+                color: "rgba(255,255,255,0.5)",
+              }}>
+                <input type="checkbox" disabled={same} checked={!same && !unticked.includes(fit.key)}
+                  onChange={(e) => setUnticked(prev => e.target.checked ? prev.filter(k => k !== fit.key) : [...prev, fit.key])} />
+                <span>{ASSUMPTION_META[fit.key].label}{fit.note && " *"}</span>
+                <span style={{ textAlign: "right" }}>{format(fit.key, assumptions[fit.key])}</span>
+                <span style={{ textAlign: "right", color: same ? "rgba(255,255,255,0.5)" : "#fff", fontWeight: 600 }}>
+                  {format(fit.key, fit.value)}
+                </span>
+                <span style={{ fontSize: 11, color: fit.r2 < 0.5 ? "rgba(200,100,80,0.8)" : "rgba(255,255,255,0.3)" }}>
+                  R² {fit.r2.toFixed(2)} · {fit.from} – {fit.to}
+                </span>
+              </div>
+            );
+          })}
+          {result.fits.filter(f => f.note).map(fit => (
+            <div key={fit.key} style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 4 }}>
+              * {ASSUMPTION_META[fit.key].label}: {fit.note}
+            </div>
+          ))}
+          {result.skipped.map(skip => (
+            <div key={skip.key} style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 4 }}>
+              {ASSUMPTION_META[skip.key].label} not fitted. {skip.reason}
+            </div>
+          ))}
+          {result.fits.length > 0 && (
+            <button disabled={chosen.length === 0}
+              onClick={() => onApply(Object.fromEntries(chosen.map(f => [f.key, f.value])))}
+              style={{ ...linkStyle, marginTop: 8, opacity: chosen.length === 0 ? 0.4 : 1 }}>
+              Apply {chosen.length} fitted value{chosen.length === 1 ? "" : "s"}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function StageDelayInputs({ assumptions, onChange }) {
+  const unit = assumptions.lagUnit;
+  const lagKeys = FUNNEL_STAGES.map(stage => stage.lagKey);
+  const totalWeeks = Math.round(lagKeys.reduce((sum, key) => sum + lagInMonths(assumptions, key), 0) * DAYS_PER_MONTH / 7);
+
+  const switchUnit = (next) => {
+    if (next === unit) return;
+    lagKeys.forEach(key => {
+      const converted = next === "months" ? assumptions[key] / DAYS_PER_MONTH : assumptions[key] * DAYS_PER_MONTH;
+      onChange(key, +converted.toFixed(next === "months" ? 2 : 0));
+    });
+    onChange("lagUnit", next);
+  };
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+        <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+          Stage Delays
+        </div>
+        <div style={{ display: "flex", gap: 4 }}>
+          {["days", "months"].map(u => (
+            <button key={u} onClick={() => switchUnit(u)} style={{
+              background: unit === u ? "rgba(200,170,80,0.12)" : "none",
+              border: unit === u ? "1px solid rgba(200,170,80,0.35)" : "1px solid rgba(255,255,255,0.08)",
+              color: unit === u ? "rgba(200,170,80,0.9)" : "rgba(255,255,255,0.4)",
+              padding: "2px 8px", borderRadius: 6, cursor: "pointer", fontSize: 10, fontFamily: "'DM Sans', sans-serif",
+            }}>
+              {u}
+            </button>
+          ))}
+        </div>
+      </div>
+      {lagKeys.map(key => (
+        <AssumptionInput key={key} id={key} meta={assumptionMeta(assumptions, key)} value={assumptions[key]} onChange={onChange} />
+      ))}
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 8 }}>
+        Lead to paid takes ~{totalWeeks} weeks
+      </div>
+    </div>
+  );
+}
+
+const SEGMENT_COLUMNS = [
+  { key: "leadShare",      label: "Leads",   unit: "%" },
+  { key: "customers",      label: "Cust.",   unit: "" },
+  { key: "arpu",           label: "ARPU",    unit: "$K" },
+  { key: "churnRate",      label: "Churn",   unit: "%" },
+  { key: "activationRate", label: "Activ.",  unit: "%" },
+  { key: "demoRate",       label: "Demo",    unit: "%" },
+  { key: "trialRate",      label: "Trial",   unit: "%" },
+  { key: "paidRate",       label: "Paid",    unit: "%" },
+];
+
+/* Profiles without their own seeds split into one segment holding everything. */
+const GENERIC_SEGMENT_SEEDS = [{ id: "all", name: "All customers", share: 100 }];
+
+/* Starting segments when a single-segment model is first broken out, from
+   the profile's seeds. The last segment takes whatever customers rounding
+   leaves over; scaled values round to one decimal and shifted rates stay at
+   10% or more. */
+function seedSegments(a, seeds = GENERIC_SEGMENT_SEEDS) {
+  let customersLeft = a.customers;
+  return seeds.map(({ id, name, share, scale = {}, shift = {} }, i) => {
+    const customers = i === seeds.length - 1 ? customersLeft : Math.round(a.customers * (share / 100));
+    customersLeft -= customers;
+    const segment = { id, name, leadShare: share, customers };
+    SEGMENT_KEYS.filter(key => key !== "customers").forEach(key => {
+      if (key in scale) segment[key] = +(a[key] * scale[key]).toFixed(1);
+      else if (key in shift) segment[key] = Math.max(10, a[key] + shift[key]);
+      else segment[key] = a[key];
+    });
+    return segment;
+  });
+}
+
+function SegmentsEditor({ assumptions, seeds, onChange }) {
+  const segments = assumptions.segments;
+  const cellStyle = {
+    width: "100%", minWidth: 44, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+    borderRadius: 6, padding: "4px 6px", color: "#fff", fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+  };
+  const buttonStyle = {
+    background: "none", border: "1px solid rgba(200,170,80,0.2)", color: "rgba(200,170,80,0.7)",
+    padding: "4px 12px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif",
+  };
+  const update = (id, field, value) => onChange(segments.map(seg => seg.id === id ? { ...seg, [field]: value } : seg));
+  const addSegment = () => {
+    const segment = { id: `seg-${Date.now().toString(36)}`, name: "New segment", leadShare: 0, customers: 0 };
+    SEGMENT_KEYS.filter(key => key !== "customers").forEach(key => { segment[key] = assumptions[key]; });
+    onChange([...segments, segment]);
+  };
+  const shareTotal = segments.reduce((sum, seg) => sum + seg.leadShare, 0);
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+        <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+          Customer Segments
+        </div>
+        {segments.length === 0 ? (
+          <button onClick={() => onChange(seedSegments(assumptions, seeds))} style={buttonStyle}>Split into segments</button>
+        ) : (
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={addSegment} style={buttonStyle}>+ Add segment</button>
+            <button onClick={() => onChange([])} style={buttonStyle}>Merge into one</button>
+          </div>
+        )}
+      </div>
+      {segments.length === 0 ? (
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5 }}>
+          One blended customer base. Split it to give each segment its own customers, ARPU, churn, activation and funnel rates.
+        </div>
+      ) : (
+        <>
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5, marginBottom: 8 }}>
+            Segment values replace the top-level ones above; the top-level values stay as the reference for levers applied to all segments.
+            {shareTotal !== 100 && ` Lead shares add up to ${shareTotal}% and are normalized.`}
+          </div>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "separate", borderSpacing: "4px 4px", fontSize: 11 }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "left", color: "rgba(255,255,255,0.3)", fontWeight: 500 }}>Segment</th>
+                  {SEGMENT_COLUMNS.map(col => (
+                    <th key={col.key} style={{ textAlign: "right", color: "rgba(255,255,255,0.3)", fontWeight: 500, whiteSpace: "nowrap" }}>
+                      {col.label}{col.unit && <span style={{ color: "rgba(255,255,255,0.2)" }}> {col.unit}</span>}
+                    </th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {segments.map(seg => (
+                  <tr key={seg.id}>
+                    <td>
+                      <input value={seg.name} onChange={(e) => update(seg.id, "name", e.target.value)}
+                        style={{ ...cellStyle, minWidth: 96, textAlign: "left", fontWeight: 500 }} />
+                    </td>
+                    {SEGMENT_COLUMNS.map(col => (
+                      <td key={col.key}>
+                        <input type="number" value={seg[col.key]} min={0}
+                          onChange={(e) => update(seg.id, col.key, parseFloat(e.target.value) || 0)} style={cellStyle} />
+                      </td>
+                    ))}
+                    <td>
+                      <button onClick={() => onChange(segments.filter(s => s.id !== seg.id))} title="Remove segment"
+                        style={{ background: "none", border: "none", color: "rgba(255,255,255,0.3)", cursor: "pointer", fontSize: 13 }}>
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* The month count is edited as free text and only clamped on blur or Enter,
+   so two-digit horizons can be typed through their first digit. */
+function HorizonControl({ horizon, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    const months = Math.round(parseFloat(draft));
+    if (Number.isFinite(months)) onChange({ ...horizon, months: Math.min(HORIZON_META.max, Math.max(HORIZON_META.min, months)) });
+    setDraft(null);
+  };
+  const pill = (active) => ({
+    background: active ? "rgba(107,142,80,0.15)" : "none",
+    border: active ? "1px solid rgba(107,142,80,0.3)" : "1px solid rgba(255,255,255,0.08)",
+    color: active ? "rgba(107,142,80,0.9)" : "rgba(255,255,255,0.35)",
+    padding: "3px 8px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif",
+  });
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, marginLeft: "auto" }}>
+      <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>Horizon</span>
+      <input type="number" value={draft ?? horizon.months} min={HORIZON_META.min} max={HORIZON_META.max} step={HORIZON_META.step}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+        style={{
+          width: 44, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+          borderRadius: 6, padding: "3px 6px", color: "#fff", fontSize: 11,
+          fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+        }}
+      />
+      <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginRight: 4 }}>mo</span>
+      {Object.keys(TICK_STEP).map(t => (
+        <button key={t} onClick={() => onChange({ ...horizon, ticks: t })} style={pill(horizon.ticks === t)}>
+          {t === "monthly" ? "Monthly" : "Quarterly"}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/* Actuals before month 0 (when the projection is anchored to them) widen the
+   chart to the left, with ticks continuing back from month 0. */
+function MRRChart({ baseRows, projRows, horizon, bands, actuals }) {
+  const months = horizonTicks(horizon);
+  const last = months.length - 1;
+  const history = actuals ?? [];
+  const start = Math.min(0, ...history.map(p => p.month));
+  const step = TICK_STEP[horizon.ticks];
+  const ticks = [...months];
+  for (let m = -step; m >= start; m -= step) ticks.unshift(m);
+  const labelEvery = Math.ceil(ticks.length / 13);
+  const minLabelGap = (step * labelEvery) / 2;
+  const baseline = months.map(m => baseRows[m].mrr);
+  const projected = months.map(m => projRows[m].mrr);
+  const maxVal = Math.max(
+    ...projected, ...baseline, ...(bands ? months.map(m => bands.p90[m]) : []), ...history.map(p => p.mrr),
+  ) * 1.08;
+  const chartH = 160;
+  const x = (m) => ((m - start) / (horizon.months - start)) * 390 + 5;
+  const y = (v) => chartH - (v / maxVal) * (chartH - 10);
+
+  return (
+    <div style={{ position: "relative", height: chartH + 40, width: "100%", marginTop: 12 }}>
+      <svg width="100%" height={chartH + 40} viewBox={`0 0 400 ${chartH + 40}`} preserveAspectRatio="none">
+        {[0, 0.25, 0.5, 0.75, 1].map((pct, i) => (
+          <line key={i} x1="0" x2="400" y1={chartH - pct * chartH} y2={chartH - pct * chartH}
+            stroke="rgba(255,255,255,0.05)" strokeWidth="1" />
+        ))}
+        {bands && (
+          <>
+            <polygon
+              points={[...months.map(m => `${x(m)},${y(bands.p90[m])}`), ...[...months].reverse().map(m => `${x(m)},${y(bands.p10[m])}`)].join(" ")}
+              fill="rgba(107,142,80,0.12)"
+            />
+            <polyline
+              points={months.map(m => `${x(m)},${y(bands.p50[m])}`).join(" ")}
+              fill="none" stroke="rgba(107,142,80,0.45)" strokeWidth="1.5" strokeDasharray="2,3"
+            />
+          </>
+        )}
+        <polyline
+          points={months.map((m, i) => `${x(m)},${y(baseline[i])}`).join(" ")}
+          fill="none" stroke="rgba(255,255,255,0.15)" strokeWidth="2" strokeDasharray="6,4"
+        />
+        {start < 0 && (
+          <line x1={x(0)} x2={x(0)} y1={0} y2={chartH} stroke="rgba(255,255,255,0.12)" strokeWidth="1" strokeDasharray="3,3" />
+        )}
+        <polygon
+          points={`${x(0)},${chartH} ${months.map((m, i) => `${x(m)},${y(projected[i])}`).join(" ")} 395,${chartH}`}
+          fill="url(#greenGrad)"
+        />
+        <polyline
+          points={months.map((m, i) => `${x(m)},${y(projected[i])}`).join(" ")}
+          fill="none" stroke="rgba(107,142,80,0.8)" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"
+        />
+        {months.map((m, i) => (
+          <circle key={i}
+            cx={x(m)}
+            cy={y(projected[i])}
+            r={months.length > 25 ? 2 : 3.5} fill="#1a2318" stroke="rgba(107,142,80,0.8)" strokeWidth="2"
+          />
+        ))}
+        {history.length > 0 && (
+          <>
+            <polyline
+              points={history.map(p => `${x(p.month)},${y(p.mrr)}`).join(" ")}
+              fill="none" stroke="rgba(200,170,80,0.85)" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"
+            />
+            {history.map(p => (
+              <circle key={p.month} cx={x(p.month)} cy={y(p.mrr)} r={ticks.length > 25 ? 1.5 : 2.5} fill="rgba(200,170,80,0.9)" />
+            ))}
+          </>
+        )}
+        {ticks.map((m, i) => ((m % (step * labelEvery) === 0 && horizon.months - m >= minLabelGap) || i === ticks.length - 1) && (
+          <text key={m} x={x(m)} y={chartH + 18}
+            textAnchor="middle" fill="rgba(255,255,255,0.3)" fontSize="10" fontFamily="DM Sans, sans-serif">
+            M{m}
+          </text>
+        ))}
+        {(() => {
+          const projY = y(projected[last]) - 10;
+          const baseY = y(baseline[last]) - 10;
+          const tooClose = Math.abs(projY - baseY) < 18;
+          const same = formatMRR(projected[last]) === formatMRR(baseline[last]);
+          return (
+            <>
+              <text x={395} y={same ? projY : projY} textAnchor="end"
+                fill="rgba(107,142,80,0.9)" fontSize="13" fontWeight="700" fontFamily="DM Sans, sans-serif">
+                {formatMRR(projected[last])}
+              </text>
+              {!same && (
+                <text x={395} y={tooClose ? baseY + 18 : baseY} textAnchor="end"
+                  fill="rgba(255,255,255,0.3)" fontSize="11" fontFamily="DM Sans, sans-serif">
+                  {formatMRR(baseline[last])} baseline
+                </text>
+              )}
+            </>
+          );
+        })()}
+        <defs>
+          <linearGradient id="greenGrad" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0%" stopColor="rgba(107,142,80,0.2)" />
+            <stop offset="100%" stopColor="rgba(107,142,80,0)" />
+          </linearGradient>
+        </defs>
+      </svg>
+    </div>
+  );
+}
+
+/* Hands `contents` (text or bytes) to the browser as a file download. */
+function downloadFile(fileName, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/* Every month of the projection, baseline and scenario, collapsed under the
+   chart until asked for, with a CSV download for the finance spreadsheet and
+   the whole model as an Excel workbook. */
+function MonthlyTable({ baseRows, projRows, fileName, onDownloadWorkbook }) {
+  const [open, setOpen] = useState(false);
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(107,142,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+  const format = (key, value) => (key === "mrr" ? formatMRR(Math.round(value)) : Math.round(value).toLocaleString());
+  const cell = { padding: "4px 6px", textAlign: "right", whiteSpace: "nowrap" };
+
+  return (
+    <div style={{ marginTop: 10, fontSize: 11, color: "rgba(255,255,255,0.35)" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
+        <button onClick={() => setOpen(!open)} style={linkStyle}>
+          {open ? "Hide monthly table ▴" : "Show monthly table ▾"}
+        </button>
+        <button onClick={() => downloadFile(fileName, monthlyCSV(baseRows, projRows), "text/csv")} style={linkStyle}>Download CSV</button>
+        <button onClick={onDownloadWorkbook} style={linkStyle}>Export to Excel</button>
+      </div>
+      {open && (
+        <div style={{ marginTop: 8, maxHeight: 320, overflow: "auto", animation: "fadeSlideIn 0.3s ease" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+            <thead>
+              <tr style={{ color: "rgba(255,255,255,0.3)", fontSize: 10, letterSpacing: "0.06em", textTransform: "uppercase" }}>
+                <th style={{ ...cell, textAlign: "left" }} rowSpan={2}>Month</th>
+                {MONTHLY_COLUMNS.map(c => <th key={c.key} style={{ ...cell, textAlign: "center" }} colSpan={2}>{c.label}</th>)}
+              </tr>
+              <tr style={{ color: "rgba(255,255,255,0.25)", fontSize: 10 }}>
+                {MONTHLY_COLUMNS.map(c => (
+                  <Fragment key={c.key}>
+                    <th style={{ ...cell, fontWeight: 400 }}>Base</th>
+                    <th style={{ ...cell, fontWeight: 400 }}>Scenario</th>
+                  </Fragment>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {projRows.map((row, m) => (
+                <tr key={row.month} style={{ borderTop: "1px solid rgba(255,255,255,0.04)" }}>
+                  <td style={{ ...cell, textAlign: "left" }}>M{row.month}</td>
+                  {MONTHLY_COLUMNS.map(c => (
+                    <Fragment key={c.key}>
+                      <td style={cell}>{format(c.key, baseRows[m][c.key])}</td>
+                      <td style={{ ...cell, color: "#fff" }}>{format(c.key, row[c.key])}</td>
+                    </Fragment>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Monthly actuals imported from a CSV export and drawn on the MRR chart.
+   Anchoring restarts the projection from the latest actual month instead of
+   the assumptions' starting customers. */
+function ActualsImport({ actuals, onLoad, onClear, anchored, onAnchorChange }) {
+  const [errors, setErrors] = useState(null);
+  const handleFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const result = parseActuals(text);
+      if (result.errors) { setErrors(result.errors); return; }
+      setErrors(null);
+      onLoad(result.rows);
+    });
+  };
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(200,170,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+
+  return (
+    <div style={{ marginTop: 10, fontSize: 11, color: "rgba(255,255,255,0.35)" }}>
+      {actuals ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 14, flexWrap: "wrap" }}>
+          <span>
+            Actuals: <span style={{ color: "#fff", fontWeight: 600 }}>{actuals.length} months</span>
+            {" "}({actuals[0].month} – {actuals[actuals.length - 1].month})
+          </span>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+            <input type="checkbox" checked={anchored} onChange={(e) => onAnchorChange(e.target.checked)} />
+            Start the projection from {actuals[actuals.length - 1].month}
+          </label>
+          <button onClick={onClear} style={{ ...linkStyle, marginLeft: "auto", color: "rgba(255,255,255,0.35)" }}>Clear actuals</button>
+        </div>
+      ) : (
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+          <label style={linkStyle}>
+            Import actuals (CSV)
+            <input type="file" accept=".csv,text/csv" style={{ display: "none" }}
+              onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ""; }} />
+          </label>
+          <span>Columns: {Object.values(ACTUALS_COLUMNS).map(c => c.label.toLowerCase()).join(", ")} — oldest month first</span>
+        </div>
+      )}
+      {errors && (
+        <div style={{ color: "rgba(200,100,80,0.9)", marginTop: 6, lineHeight: 1.5 }}>
+          {errors.map((err, i) => <div key={i}>{err}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function UncertaintyPanel({ assumptions, uncertainty, onRangeChange, enabled, onToggle, goal, result, months }) {
+  const [rangesOpen, setRangesOpen] = useState(false);
+  const numberStyle = {
+    width: 58, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+    borderRadius: 6, padding: "4px 8px", color: "#fff", fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+  };
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(107,142,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+  const final = result && result.finals.length ? result : null;
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.06)",
+      borderRadius: 14, padding: "16px 20px", marginBottom: 16, animation: "fadeIn 0.85s ease",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <button onClick={onToggle} style={{
+          background: enabled ? "rgba(107,142,80,0.15)" : "none",
+          border: enabled ? "1px solid rgba(107,142,80,0.3)" : "1px solid rgba(255,255,255,0.1)",
+          color: enabled ? "rgba(107,142,80,0.9)" : "rgba(255,255,255,0.45)",
+          padding: "5px 12px", borderRadius: 8, cursor: "pointer", fontSize: 12, fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
+        }}>
+          {enabled ? "Uncertainty bands on" : "Show uncertainty bands"}
+        </button>
+      </div>
+
+      {enabled && final && (
+        <div style={{ display: "flex", gap: 18, flexWrap: "wrap", marginTop: 12, fontSize: 12, color: "rgba(255,255,255,0.4)" }}>
+          {["p10", "p50", "p90"].map(p => (
+            <div key={p}>
+              {p.toUpperCase()} <span style={{ color: "#fff", fontWeight: 600 }}>{formatMRR(final[p][months])}</span>
+            </div>
+          ))}
+          {goal != null && (
+            <div style={{ marginLeft: "auto" }}>
+              Chance of hitting {formatMRR(goal)}:{" "}
+              <span style={{ color: "rgba(130,180,90,0.9)", fontWeight: 700 }}>{goalProbability(final.finals, goal)}%</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {enabled && (
+        <div style={{ marginTop: 12 }}>
+          <button onClick={() => setRangesOpen(!rangesOpen)} style={linkStyle}>
+            {rangesOpen ? "Hide assumption ranges ↑" : `Edit assumption ranges (${SIMULATION_RUNS.toLocaleString()} runs) ↓`}
+          </button>
+          {rangesOpen && (
+            <div style={{ marginTop: 10, animation: "fadeSlideIn 0.3s ease" }}>
+              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5, marginBottom: 8 }}>
+                Triangular ranges peak at your assumption; normal ranges read low/high as P10/P90. Unedited inputs default to ±20%.
+              </div>
+              {Object.entries(ASSUMPTION_META).map(([key, meta]) => {
+                const spec = uncertaintyFor(uncertainty, key, assumptions[key]);
+                return (
+                  <div key={key} style={{
+                    display: "flex", alignItems: "center", gap: 8, padding: "5px 0",
+                    borderBottom: "1px solid rgba(255,255,255,0.04)",
+                  }}>
+                    <span style={{ fontSize: 12, color: "rgba(255,255,255,0.5)", flex: 1, whiteSpace: "nowrap" }}>{meta.label}</span>
+                    <select value={spec.dist} onChange={(e) => onRangeChange(key, { ...spec, dist: e.target.value })}
+                      style={{ ...numberStyle, width: 96, textAlign: "left", fontWeight: 500 }}>
+                      {Object.entries(DISTRIBUTIONS).map(([id, d]) => <option key={id} value={id}>{d.label}</option>)}
+                    </select>
+                    {["low", "high"].map(end => (
+                      <input key={end} type="number" value={spec[end]} step={meta.step} disabled={spec.dist === "fixed"}
+                        onChange={(e) => onRangeChange(key, { ...spec, [end]: parseFloat(e.target.value) || 0 })}
+                        style={{ ...numberStyle, opacity: spec.dist === "fixed" ? 0.3 : 1 }}
+                      />
+                    ))}
+                    <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", minWidth: 18 }}>
+                      {meta.group === "lag" && assumptions.lagUnit === "months" ? "mo" : meta.unit}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Goal input plus, for each lever alone and for all of them together, the
+   smallest move from the current sliders that reaches the goal. */
+function GoalSeekPanel({ goal, onGoalChange, months, levers, solutions, onApply }) {
+  const leverValue = (lever, values) => `${lever.prefix || ""}${values[lever.baseKey]}${lever.unit}`;
+  const applyStyle = {
+    background: "rgba(107,142,80,0.15)", border: "1px solid rgba(107,142,80,0.3)", color: "rgba(107,142,80,0.9)",
+    padding: "3px 10px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
+  };
+  const describe = (solution, levers) => {
+    if (solution.status === "met") return <span style={{ color: "rgba(130,180,90,0.9)" }}>already met at current settings</span>;
+    if (solution.status === "infeasible") {
+      return <span style={{ color: "rgba(200,100,80,0.9)" }}>infeasible within the slider range (best {formatMRR(Math.round(solution.mrr))})</span>;
+    }
+    return (
+      <span style={{ color: "#fff", fontWeight: 600 }}>
+        {levers.map(l => `${ASSUMPTION_META[l.baseKey].label} ${leverValue(l, solution.values)}`).join(", ")}
+        <span style={{ color: "rgba(255,255,255,0.35)", fontWeight: 400 }}> → {formatMRR(Math.round(solution.mrr))}</span>
+      </span>
+    );
+  };
+  const rows = solutions ? [
+    ...solutions.levers.map(({ lever, solution }) => ({ key: lever.id, label: `${lever.label} alone`, levers: [lever], solution })),
+    { key: "combined", label: "All levers together", levers, solution: solutions.combined },
+  ] : [];
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.06)",
+      borderRadius: 14, padding: "16px 20px", marginBottom: 16, animation: "fadeIn 0.85s ease",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+        <span style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", letterSpacing: "0.08em", textTransform: "uppercase", marginRight: "auto" }}>
+          Goal seek
+        </span>
+        <span style={{ fontSize: 12, color: "rgba(255,255,255,0.4)" }}>Month {months} goal $</span>
+        <input type="number" value={goal == null ? "" : goal / 1000} min={0} step={10} placeholder="—"
+          onChange={(e) => onGoalChange(e.target.value === "" ? null : Math.max(0, parseFloat(e.target.value) || 0) * 1000)}
+          style={{
+            width: 58, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+            borderRadius: 6, padding: "4px 8px", color: "#fff", fontSize: 12,
+            fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+          }}
+        />
+        <span style={{ fontSize: 12, color: "rgba(255,255,255,0.3)" }}>K</span>
+      </div>
+
+      {rows.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 12 }}>
+          {rows.map(row => (
+            <div key={row.key} style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 12, color: "rgba(255,255,255,0.45)" }}>
+              <span style={{ width: 130, flexShrink: 0 }}>{row.label}</span>
+              <span style={{ flex: 1 }}>{describe(row.solution, row.levers)}</span>
+              {row.solution.status === "solved" && (
+                <button onClick={() => onApply(row.solution.values)} style={applyStyle}>
+                  {row.levers.length > 1 ? "Apply all" : "Apply"}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Tornado chart of baseline Month-N MRR against each assumption moved on its
+   own, biggest swing first. Any input that isn't already a lever can be
+   promoted to a custom one, pointed whichever way raises MRR. */
+function SensitivityPanel({ assumptions, months, open, onToggle, sensitivity, onChange, result, levers, onPromote }) {
+  const baseMRR = calculateMRR(assumptions, {}, months);
+  const rows = result ? result.filter(r => r.swing > 0) : [];
+  const flat = result ? result.length - rows.length : 0;
+  const reach = Math.max(1, ...rows.flatMap(r => [Math.abs(r.lowMRR - baseMRR), Math.abs(r.highMRR - baseMRR)]));
+  const leverKeys = levers.map(l => l.baseKey);
+  const formatValue = (key, value) => {
+    const meta = assumptionMeta(assumptions, key);
+    return `${meta.prefix}${+value.toFixed(2)}${meta.unit}`;
+  };
+  const bar = (mrr) => {
+    const delta = mrr - baseMRR;
+    const width = (Math.abs(delta) / reach) * 50;
+    return (
+      <div style={{
+        position: "absolute", top: 2, bottom: 2, width: `${width}%`,
+        left: delta < 0 ? `${50 - width}%` : "50%",
+        background: delta < 0 ? "rgba(200,100,80,0.55)" : "rgba(107,142,80,0.65)", borderRadius: 2,
+      }} />
+    );
+  };
+  const toggleStyle = (active) => ({
+    background: active ? "rgba(107,142,80,0.15)" : "none",
+    border: active ? "1px solid rgba(107,142,80,0.3)" : "1px solid rgba(255,255,255,0.1)",
+    color: active ? "rgba(107,142,80,0.9)" : "rgba(255,255,255,0.45)",
+    padding: "3px 10px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
+  });
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.06)",
+      borderRadius: 14, padding: "16px 20px", marginBottom: 16, animation: "fadeIn 0.85s ease",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <button onClick={onToggle} style={{ ...toggleStyle(open), padding: "5px 12px", borderRadius: 8, fontSize: 12 }}>
+          {open ? "Sensitivity on" : "Show sensitivity"}
+        </button>
+        {open && (
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginLeft: "auto" }}>
+            {Object.entries(SENSITIVITY_MODES).map(([mode, { label }]) => (
+              <button key={mode} onClick={() => onChange({ ...sensitivity, mode })} style={toggleStyle(sensitivity.mode === mode)}>
+                {label}
+              </button>
+            ))}
+            {sensitivity.mode === "percent" && (
+              <>
+                <input type="number" value={sensitivity.spread} min={1} max={90} step={5}
+                  onChange={(e) => onChange({ ...sensitivity, spread: Math.min(90, Math.max(1, parseFloat(e.target.value) || 1)) })}
+                  style={{
+                    width: 44, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                    borderRadius: 6, padding: "3px 6px", color: "#fff", fontSize: 12,
+                    fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+                  }}
+                />
+                <span style={{ fontSize: 12, color: "rgba(255,255,255,0.3)" }}>%</span>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {open && result && (
+        <div style={{ marginTop: 14, animation: "fadeSlideIn 0.3s ease" }}>
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", marginBottom: 10 }}>
+            Month {months} baseline MRR {formatMRR(baseMRR)} — red bars are the low end of each input, green the high end
+          </div>
+          {rows.map(row => {
+            const meta = ASSUMPTION_META[row.key];
+            const isLever = leverKeys.includes(row.key);
+            return (
+              <div key={row.key} style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 6, fontSize: 11 }}>
+                <span style={{ width: 120, flexShrink: 0, color: "rgba(255,255,255,0.55)" }}>{meta.label}</span>
+                <div style={{ flex: 1, position: "relative", height: 14, background: "rgba(255,255,255,0.03)", borderRadius: 2 }}>
+                  {bar(row.lowMRR)}
+                  {bar(row.highMRR)}
+                  <div style={{ position: "absolute", left: "50%", top: 0, bottom: 0, width: 1, background: "rgba(255,255,255,0.25)" }} />
+                </div>
+                <span style={{ width: 150, flexShrink: 0, color: "rgba(255,255,255,0.35)", textAlign: "right" }}>
+                  {formatValue(row.key, row.low)}–{formatValue(row.key, row.high)} · ±{formatMRR(Math.round(row.swing / 2))}
+                </span>
+                <span style={{ width: 64, flexShrink: 0, textAlign: "right" }}>
+                  {isLever
+                    ? <span style={{ color: "rgba(255,255,255,0.25)" }}>lever</span>
+                    : <button onClick={() => onPromote(row.key, row.highMRR >= row.lowMRR ? "higher-is-better" : "lower-is-better")}
+                        style={toggleStyle(false)}>Promote</button>}
+                </span>
+              </div>
+            );
+          })}
+          {flat > 0 && (
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", marginTop: 8 }}>
+              {flat} more inputs don't move Month {months} MRR over this range and are left out.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const LIFT_COLORS = ["rgba(107,142,80,0.85)", "rgba(200,170,80,0.75)", "rgba(110,160,190,0.75)", "rgba(170,130,190,0.7)", "rgba(190,140,100,0.7)"];
+
+/* Stacked bar of the headline lift: each lever's standalone effect plus the
+   interaction between them, as % of baseline MRR. Segments that pull MRR
+   down are drawn faded. */
+function LiftAttribution({ attribution, baseMRR, levers }) {
+  const pct = (v) => (baseMRR > 0 ? Math.round((v / baseMRR) * 100) : 0);
+  const signed = (v) => `${pct(v) > 0 ? "+" : ""}${pct(v)}%`;
+  const labelFor = (key) => (levers.find(l => l.baseKey === key) ?? ASSUMPTION_META[key]).label;
+  const segments = [
+    ...attribution.parts.map((part, i) => ({
+      key: part.key, label: labelFor(part.key), value: part.standalone, shapley: part.shapley,
+      color: LIFT_COLORS[i % LIFT_COLORS.length],
+    })),
+    { key: "interaction", label: "Interaction", value: attribution.interaction, color: "rgba(255,255,255,0.3)" },
+  ];
+  const span = segments.reduce((sum, seg) => sum + Math.abs(seg.value), 0) || 1;
+
+  return (
+    <div style={{ marginTop: 14 }}>
+      <div style={{ display: "flex", height: 8, borderRadius: 4, overflow: "hidden", background: "rgba(255,255,255,0.05)" }}>
+        {segments.map(seg => (
+          <div key={seg.key} title={`${seg.label} ${signed(seg.value)}`} style={{
+            width: `${(Math.abs(seg.value) / span) * 100}%`, background: seg.color,
+            opacity: seg.value < 0 ? 0.35 : 1, transition: "width 0.3s ease",
+          }} />
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginTop: 8, fontSize: 11, color: "rgba(255,255,255,0.4)" }}>
+        {segments.map(seg => (
+          <div key={seg.key} style={{ display: "flex", alignItems: "center", gap: 5 }}>
+            <div style={{ width: 8, height: 8, borderRadius: 2, background: seg.color, opacity: seg.value < 0 ? 0.35 : 1 }} />
+            {seg.label} <span style={{ color: "#fff", fontWeight: 600 }}>{signed(seg.value)}</span>
+            {seg.shapley != null && attribution.parts.length > 1 && (
+              <span style={{ color: "rgba(255,255,255,0.25)" }}>(fair share {signed(seg.shapley)})</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function UnitEconomicsStrip({ base, scenario, isModified }) {
+  const metrics = [
+    { label: "Blended CAC", format: (e) => formatMRR(Math.round(e.cac)), key: "cac", better: -1 },
+    { label: "CAC payback", format: (e) => Number.isFinite(e.paybackMonths) ? `${e.paybackMonths.toFixed(1)} mo` : "—", key: "paybackMonths", better: -1 },
+    { label: "LTV : CAC", format: (e) => Number.isFinite(e.ltvToCac) ? `${e.ltvToCac.toFixed(1)}×` : "—", key: "ltvToCac", better: 1 },
+  ];
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 10, marginBottom: 16, animation: "fadeIn 0.8s ease" }}>
+      {metrics.map(metric => {
+        const delta = scenario[metric.key] - base[metric.key];
+        const improved = delta * metric.better > 0;
+        return (
+          <div key={metric.key} style={{
+            background: "rgba(0,0,0,0.2)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 12, padding: "12px 14px",
+          }}>
+            <div style={{ fontSize: 10, color: "rgba(255,255,255,0.35)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 6 }}>
+              {metric.label}
+            </div>
+            <div style={{ fontSize: 20, fontWeight: 700, color: "#fff", fontFamily: "'Playfair Display', serif" }}>
+              {metric.format(scenario)}
+            </div>
+            {isModified && metric.format(scenario) !== metric.format(base) && (
+              <div style={{ fontSize: 11, marginTop: 4, color: improved ? "rgba(130,180,90,0.9)" : "rgba(200,100,80,0.9)" }}>
+                from {metric.format(base)}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* The locked plan against actuals: Month-N MRR, each driver's variance over
+   the months so far, and a re-forecast to the end of the plan from the latest
+   actual month. */
+function PlanPanel({ plan, variance, forecast, hasActuals, onLock, onUnlock }) {
+  const card = {
+    background: "rgba(0,0,0,0.2)", border: "1px solid rgba(255,255,255,0.06)",
+    borderRadius: 14, padding: "16px 20px", marginBottom: 16, animation: "fadeIn 0.85s ease",
+  };
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(107,142,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+  const formatDriver = (key, value) => {
+    if (value == null) return "—";
+    if (key === "leads") return Math.round(value).toLocaleString();
+    if (key === "arpu") return `$${value.toFixed(2)}K`;
+    return `${(value * 100).toFixed(1)}%`;
+  };
+  const varianceColor = (pct, higherIsBetter) => {
+    if (pct == null || Math.abs(pct) < 0.5) return "rgba(255,255,255,0.4)";
+    return (pct > 0) === higherIsBetter ? "rgba(130,180,90,0.9)" : "rgba(200,100,80,0.9)";
+  };
+  const signed = (pct) => `${pct > 0 ? "+" : ""}${Math.round(pct)}%`;
+  const misses = variance?.drivers
+    ? variance.drivers.filter(d => d.variance != null && (d.variance > 0) !== PLAN_DRIVERS[d.key].higherIsBetter && Math.abs(d.variance) >= 0.5)
+    : [];
+  const biggestMiss = misses.sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance))[0];
+
+  if (!plan) {
+    return (
+      <div style={card}>
+        <div style={{ display: "flex", alignItems: "baseline", gap: 12, flexWrap: "wrap" }}>
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+            Plan vs Actual
+          </div>
+          <button onClick={onLock} style={linkStyle}>Lock this scenario as the plan</button>
+        </div>
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.5, marginTop: 6 }}>
+          Then import actuals as months close to see where you're ahead or behind — leads, conversion, churn or ARPU — and a re-forecast from today.
+        </div>
+      </div>
+    );
   }
-  return `Largest lever: ${top.label} at +${top.pct}%. ${modified.length > 1 ? `Combined with ${modified[1].label} (+${modified[1].pct}%), these compound — the chart reflects their multiplicative effect.` : ""}`;
+
+  const planEnd = forecast && !forecast.error ? forecast.rows[forecast.rows.length - 1].mrr : null;
+  const mrrVariance = variance?.mrr && variance.mrr.plan > 0 ? ((variance.mrr.actual - variance.mrr.plan) / variance.mrr.plan) * 100 : null;
+  return (
+    <div style={card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", flexWrap: "wrap", gap: 8 }}>
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+          Plan vs Actual
+        </div>
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)" }}>
+          Locked {plan.lockedOn} · {plan.months} months from {plan.startMonth ?? "the first actual month"}
+          {" · "}<button onClick={onUnlock} style={{ ...linkStyle, color: "rgba(255,255,255,0.35)" }}>Unlock</button>
+        </div>
+      </div>
+
+      {variance?.error && <div style={{ fontSize: 12, color: "rgba(200,100,80,0.9)", marginTop: 10 }}>{variance.error}</div>}
+      {!variance && (
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 10 }}>
+          {hasActuals ? "No actuals after the plan's start yet." : "Import actuals under the MRR chart as months close to track them against the plan."}
+        </div>
+      )}
+
+      {variance?.mrr && (
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 10 }}>
+          Month {variance.mrr.month} ({variance.mrr.label}) MRR{" "}
+          <span style={{ color: "#fff", fontWeight: 600 }}>{formatMRR(variance.mrr.actual)}</span> vs plan {formatMRR(variance.mrr.plan)}
+          {mrrVariance != null && (
+            <span style={{ color: varianceColor(mrrVariance, true), fontWeight: 600 }}> {signed(mrrVariance)}</span>
+          )}
+        </div>
+      )}
+
+      {variance?.drivers && variance.months.length > 0 && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{
+            display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr 1fr", gap: 8, fontSize: 10,
+            color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", paddingBottom: 4,
+          }}>
+            <span>Driver ({variance.months.length} mo)</span>
+            <span style={{ textAlign: "right" }}>Plan</span>
+            <span style={{ textAlign: "right" }}>Actual</span>
+            <span style={{ textAlign: "right" }}>Variance</span>
+          </div>
+          {variance.drivers.map(d => (
+            <div key={d.key} style={{
+              display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr 1fr", gap: 8, fontSize: 12, padding: "5px 0",
+              borderTop: "1px solid rgba(255,255,255,0.04)", color: "rgba(255,255,255,0.5)",
+            }}>
+              <span>{PLAN_DRIVERS[d.key].label}{d.key === "leads" ? " (total)" : d.key === "arpu" ? " (latest)" : ""}</span>
+              <span style={{ textAlign: "right" }}>{formatDriver(d.key, d.plan)}</span>
+              <span style={{ textAlign: "right", color: "#fff", fontWeight: 600 }}>{formatDriver(d.key, d.actual)}</span>
+              <span style={{ textAlign: "right", color: varianceColor(d.variance, PLAN_DRIVERS[d.key].higherIsBetter), fontWeight: 600 }}>
+                {d.variance == null ? "—" : signed(d.variance)}
+              </span>
+            </div>
+          ))}
+          {biggestMiss && (
+            <div style={{ fontSize: 12, color: "rgba(255,255,255,0.45)", marginTop: 8 }}>
+              Biggest miss: <span style={{ color: "#fff", fontWeight: 600 }}>{PLAN_DRIVERS[biggestMiss.key].label.toLowerCase()}</span>
+              {" "}({signed(biggestMiss.variance)} against plan).
+            </div>
+          )}
+        </div>
+      )}
+
+      {planEnd != null && forecast.elapsed > 0 && (
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 8 }}>
+          Re-forecast from today: Month {plan.months} MRR <span style={{ color: "#fff", fontWeight: 600 }}>{formatMRR(planEnd)}</span>
+          {" "}vs plan {formatMRR(forecast.planMRR)}
+          <span style={{ color: "rgba(255,255,255,0.25)" }}> — plan assumptions from the latest actual month</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Up to four saved scenarios run over the current horizon: MRR curves
+   overlaid, headline metrics and lever values side by side, and what changes
+   going from one to another. */
+function ComparePanel({ scenarios, open, onToggle, selected, onSelect, compared, horizon }) {
+  const [pair, setPair] = useState([null, null]);
+  const months = horizonTicks(horizon);
+  const chartH = 120;
+  const maxVal = Math.max(1, ...compared.flatMap(c => months.map(m => c.rows[m].mrr))) * 1.08;
+  const x = (m) => (m / horizon.months) * 390 + 5;
+  const y = (v) => chartH - (v / maxVal) * (chartH - 10);
+  const colorOf = (i) => LIFT_COLORS[i % LIFT_COLORS.length];
+
+  const lookahead = Math.max(horizon.months, RUNWAY_LOOKAHEAD);
+  const formatMetric = (key, value) => {
+    if (value == null || !Number.isFinite(value)) return key === "breakEvenMonth" ? `Not within ${lookahead} mo` : "—";
+    if (key === "mrr") return formatMRR(value);
+    if (key === "lift") return `${value > 0 ? "+" : ""}${Math.round(value)}%`;
+    if (key === "customers") return Math.round(value).toLocaleString();
+    if (key === "nrr") return `${value}%`;
+    if (key === "ltvToCac") return `${value.toFixed(1)}×`;
+    if (key === "paybackMonths") return `${value.toFixed(1)} mo`;
+    return `Month ${value}`;
+  };
+  const formatDelta = (key, { diff, pct }) => {
+    if (diff == null) return "—";
+    const sign = diff > 0 ? "+" : diff < 0 ? "−" : "";
+    const size = Math.abs(diff);
+    if (key === "mrr") return `${sign}${formatMRR(Math.round(size))}${pct != null ? ` (${sign}${Math.abs(Math.round(pct))}%)` : ""}`;
+    if (key === "lift" || key === "nrr") return `${sign}${Math.round(size)} pts`;
+    if (key === "customers") return `${sign}${Math.round(size).toLocaleString()}`;
+    if (key === "ltvToCac") return `${sign}${size.toFixed(1)}×`;
+    if (key === "paybackMonths") return `${sign}${size.toFixed(1)} mo`;
+    return `${sign}${size} mo`;
+  };
+  const deltaColor = (key, diff) => {
+    if (!diff) return "rgba(255,255,255,0.4)";
+    return (diff > 0) === COMPARISON_METRICS[key].higherIsBetter ? "rgba(130,180,90,0.9)" : "rgba(200,100,80,0.9)";
+  };
+
+  /* Every lever any of them has, valued at the scenario's setting or, faded,
+     its baseline. */
+  const leverRows = [];
+  compared.forEach(({ scenario }) => scenario.levers.forEach(lever => {
+    if (!leverRows.some(l => l.baseKey === lever.baseKey)) leverRows.push(lever);
+  }));
+  const leverValue = (scenario, key) => {
+    const set = scenario.leverValues[key];
+    const value = set ?? scenario.assumptions[key];
+    const meta = assumptionMeta(scenario.assumptions, key);
+    return { text: `${meta.prefix}${+value.toFixed(2)}${meta.unit}`, set: set != null };
+  };
+
+  const a = compared.find(c => c.scenario.id === pair[0]) ?? compared[0];
+  const b = compared.find(c => c.scenario.id === pair[1] && c !== a) ?? compared.find(c => c !== a);
+  const deltas = a && b ? metricDeltas(a.metrics, b.metrics) : null;
+  const leverChanges = a && b
+    ? leverRows.map(l => ({ lever: l, from: leverValue(a.scenario, l.baseKey), to: leverValue(b.scenario, l.baseKey) }))
+      .filter(change => change.from.text !== change.to.text)
+    : [];
+
+  const toggleStyle = (active) => ({
+    background: active ? "rgba(107,142,80,0.15)" : "none",
+    border: active ? "1px solid rgba(107,142,80,0.3)" : "1px solid rgba(255,255,255,0.1)",
+    color: active ? "rgba(107,142,80,0.9)" : "rgba(255,255,255,0.45)",
+    padding: "3px 10px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
+  });
+  const selectStyle = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 6,
+    padding: "3px 6px", color: "#fff", fontSize: 12, fontFamily: "'DM Sans', sans-serif", cursor: "pointer",
+  };
+  const columns = `1.3fr repeat(${Math.max(1, compared.length)}, 1fr)`;
+  const headStyle = { fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase" };
+  const rowStyle = {
+    display: "grid", gridTemplateColumns: columns, gap: 8, fontSize: 12, padding: "5px 0",
+    borderTop: "1px solid rgba(255,255,255,0.04)", color: "rgba(255,255,255,0.5)",
+  };
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.06)",
+      borderRadius: 14, padding: "16px 20px", marginBottom: 16, animation: "fadeIn 0.85s ease",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <button onClick={onToggle} style={{ ...toggleStyle(open), padding: "5px 12px", borderRadius: 8, fontSize: 12 }}>
+          {open ? "Comparing scenarios" : "Compare scenarios"}
+        </button>
+        {open && scenarios.length > 0 && (
+          <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginLeft: "auto" }}>
+            {scenarios.map(s => {
+              const active = selected.includes(s.id);
+              return (
+                <button key={s.id} style={toggleStyle(active)}
+                  disabled={!active && selected.length >= MAX_COMPARED}
+                  onClick={() => onSelect(active ? selected.filter(id => id !== s.id) : [...selected, s.id])}>
+                  {s.name}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {open && scenarios.length < 2 && (
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 10 }}>
+          Save two or more scenarios for this company from the bar under the header to compare them here.
+        </div>
+      )}
+      {open && scenarios.length >= 2 && compared.length < 2 && (
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 10 }}>
+          Pick two to {MAX_COMPARED} scenarios. Each runs over the current {horizon.months}-month horizon.
+        </div>
+      )}
+
+      {open && compared.length >= 2 && (
+        <div style={{ marginTop: 14, animation: "fadeSlideIn 0.3s ease" }}>
+          <svg width="100%" height={chartH + 24} viewBox={`0 0 400 ${chartH + 24}`} preserveAspectRatio="none">
+            {[0, 0.5, 1].map(pct => (
+              <line key={pct} x1="0" x2="400" y1={chartH - pct * chartH} y2={chartH - pct * chartH}
+                stroke="rgba(255,255,255,0.05)" strokeWidth="1" />
+            ))}
+            {compared.map((c, i) => (
+              <polyline key={c.scenario.id}
+                points={months.map(m => `${x(m)},${y(c.rows[m].mrr)}`).join(" ")}
+                fill="none" stroke={colorOf(i)} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"
+              />
+            ))}
+            {[0, horizon.months].map(m => (
+              <text key={m} x={x(m)} y={chartH + 16} textAnchor={m ? "end" : "start"}
+                fill="rgba(255,255,255,0.3)" fontSize="10" fontFamily="DM Sans, sans-serif">
+                M{m}
+              </text>
+            ))}
+          </svg>
+
+          <div style={{ marginTop: 10 }}>
+            <div style={{ display: "grid", gridTemplateColumns: columns, gap: 8, paddingBottom: 4 }}>
+              <span style={headStyle}>Month {horizon.months}</span>
+              {compared.map((c, i) => (
+                <span key={c.scenario.id} style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 5, fontSize: 11, color: "rgba(255,255,255,0.6)", fontWeight: 600 }}>
+                  <span style={{ width: 8, height: 8, borderRadius: 2, background: colorOf(i), flexShrink: 0 }} />
+                  {c.scenario.name}
+                </span>
+              ))}
+            </div>
+            {Object.entries(COMPARISON_METRICS).map(([key, meta]) => (
+              <div key={key} style={rowStyle}>
+                <span>{meta.label}</span>
+                {compared.map(c => (
+                  <span key={c.scenario.id} style={{ textAlign: "right", color: "#fff", fontWeight: key === "mrr" ? 700 : 500 }}>
+                    {formatMetric(key, c.metrics[key])}
+                  </span>
+                ))}
+              </div>
+            ))}
+            <div style={{ ...headStyle, marginTop: 10, paddingBottom: 4 }}>Lever values</div>
+            {leverRows.map(lever => (
+              <div key={lever.baseKey} style={rowStyle}>
+                <span>{lever.label}</span>
+                {compared.map(c => {
+                  const value = leverValue(c.scenario, lever.baseKey);
+                  return (
+                    <span key={c.scenario.id} style={{ textAlign: "right", color: value.set ? "#fff" : "rgba(255,255,255,0.3)" }}>
+                      {value.text}
+                    </span>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+
+          <div style={{ marginTop: 14, paddingTop: 12, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 12, color: "rgba(255,255,255,0.4)" }}>
+              From
+              <select value={a.scenario.id} style={selectStyle} onChange={(e) => setPair([e.target.value, b.scenario.id])}>
+                {compared.map(c => <option key={c.scenario.id} value={c.scenario.id}>{c.scenario.name}</option>)}
+              </select>
+              to
+              <select value={b.scenario.id} style={selectStyle} onChange={(e) => setPair([a.scenario.id, e.target.value])}>
+                {compared.filter(c => c !== a).map(c => <option key={c.scenario.id} value={c.scenario.id}>{c.scenario.name}</option>)}
+              </select>
+            </div>
+            <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 10, fontSize: 12, color: "rgba(255,255,255,0.4)" }}>
+              {Object.entries(COMPARISON_METRICS).map(([key, meta]) => (
+                <span key={key}>
+                  {meta.label} <span style={{ color: deltaColor(key, deltas[key].diff), fontWeight: 600 }}>{formatDelta(key, deltas[key])}</span>
+                </span>
+              ))}
+            </div>
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", marginTop: 8, lineHeight: 1.5 }}>
+              {leverChanges.length
+                ? <>Levers: {leverChanges.map(({ lever, from, to }) => `${lever.label} ${from.text} → ${to.text}`).join(" · ")}</>
+                : "Same lever values — the difference comes from assumptions or rollout."}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
 }
 
-/* ───────── small components ───────── */
-function AssumptionInput({ id, meta, value, onChange }) {
+function CashPanel({ baseRows, projRows, horizon, baseRunway, projRunway, lookahead, isModified }) {
+  const chartH = 70;
+  const values = [...baseRows, ...projRows].map(r => r.cash);
+  const top = Math.max(0, ...values), bottom = Math.min(0, ...values);
+  const span = (top - bottom) || 1;
+  const x = (m) => (m / horizon.months) * 390 + 5;
+  const y = (v) => 5 + ((top - v) / span) * (chartH - 10);
+  const line = (rows) => rows.map(r => `${x(r.month)},${y(r.cash)}`).join(" ");
+  const describeCash = (r) => r.outOfCashMonth ? `Out of cash in Month ${r.outOfCashMonth}` : `Cash lasts beyond Month ${lookahead}`;
+  const describeBreakEven = (r) => r.breakEvenMonth ? `Month ${r.breakEvenMonth}` : `Not within ${lookahead} months`;
+  const firstBurn = projRows[1] ? projRows[1].netBurn : 0;
+
   return (
     <div style={{
-      display: "flex", alignItems: "center", justifyContent: "space-between",
-      padding: "8px 0", borderBottom: "1px solid rgba(255,255,255,0.04)",
-      gap: 12,
+      background: "rgba(0,0,0,0.2)", border: "1px solid rgba(255,255,255,0.06)",
+      borderRadius: 14, padding: "16px 20px", marginBottom: 16, animation: "fadeIn 0.85s ease",
     }}>
-      <label style={{ fontSize: 12, color: "rgba(255,255,255,0.5)", fontFamily: "'DM Sans', sans-serif", whiteSpace: "nowrap" }}>
-        {meta.label}
-      </label>
-      <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 4, width: 110, flexShrink: 0 }}>
-        <span style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", minWidth: 10, textAlign: "right" }}>{meta.prefix}</span>
-        <input type="number" value={value} min={meta.min} max={meta.max} step={meta.step}
-          onChange={(e) => onChange(id, parseFloat(e.target.value) || 0)}
-          style={{
-            width: 64, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
-            borderRadius: 6, padding: "5px 10px", color: "#fff", fontSize: 13,
-            fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
-          }}
-          onFocus={(e) => e.target.style.borderColor = "rgba(107,142,80,0.5)"}
-          onBlur={(e) => e.target.style.borderColor = "rgba(255,255,255,0.1)"}
-        />
-        <span style={{ fontSize: 12, color: "rgba(255,255,255,0.3)", minWidth: 14 }}>{meta.unit}</span>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", flexWrap: "wrap", gap: 8 }}>
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+          Cash & Runway
+        </div>
+        <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)" }}>
+          Month 1 net burn <span style={{ color: "#fff", fontWeight: 600 }}>{firstBurn > 0 ? formatMRR(Math.round(firstBurn)) : "none"}</span>
+          {" · "}Month {horizon.months} cash <span style={{ color: "#fff", fontWeight: 600 }}>
+            {projRows[horizon.months].cash < 0 ? `−${formatMRR(Math.round(-projRows[horizon.months].cash))}` : formatMRR(Math.round(projRows[horizon.months].cash))}
+          </span>
+        </div>
+      </div>
+      <svg width="100%" height={chartH} viewBox={`0 0 400 ${chartH}`} preserveAspectRatio="none" style={{ marginTop: 10 }}>
+        <line x1="0" x2="400" y1={y(0)} y2={y(0)} stroke="rgba(200,100,80,0.3)" strokeWidth="1" strokeDasharray="3,3" />
+        <polyline points={line(baseRows)} fill="none" stroke="rgba(255,255,255,0.15)" strokeWidth="2" strokeDasharray="6,4" />
+        <polyline points={line(projRows)} fill="none" stroke="rgba(200,170,80,0.8)" strokeWidth="2" strokeLinejoin="round" />
+      </svg>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10, marginTop: 10 }}>
+        {[
+          { label: "Runway", scenario: describeCash(projRunway), baseline: describeCash(baseRunway) },
+          { label: "Break-even", scenario: describeBreakEven(projRunway), baseline: describeBreakEven(baseRunway) },
+        ].map(stat => (
+          <div key={stat.label}>
+            <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 4 }}>
+              {stat.label}
+            </div>
+            <div style={{ fontSize: 14, color: "#fff", fontWeight: 600 }}>{stat.scenario}</div>
+            {isModified && stat.scenario !== stat.baseline && (
+              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", marginTop: 2 }}>Baseline: {stat.baseline}</div>
+            )}
+          </div>
+        ))}
       </div>
     </div>
   );
 }
 
-function MRRChart({ assumptions, churn, arpu, activation }) {
-  const months = [0, 3, 6, 9, 12];
-  const baseline = months.map(m => calculateMRR(assumptions, assumptions.churnRate, assumptions.arpu, assumptions.activationRate, m));
-  const projected = months.map(m => calculateMRR(assumptions, churn, arpu, activation, m));
-  const maxVal = Math.max(...projected, ...baseline) * 1.08;
-  const chartH = 160;
+const MRR_MOVEMENTS = [
+  { key: "newMRR",         label: "New",         sign: 1,  color: "rgba(107,142,80,0.8)" },
+  { key: "expansionMRR",   label: "Expansion",   sign: 1,  color: "rgba(170,210,120,0.55)" },
+  { key: "contractionMRR", label: "Contraction", sign: -1, color: "rgba(200,170,80,0.6)" },
+  { key: "churnedMRR",     label: "Churned",     sign: -1, color: "rgba(200,100,80,0.7)" },
+];
+
+/* MRR movements between chart ticks: gains stack above the zero line, losses
+   below. Buckets follow the horizon's tick setting. */
+function MRRMovementChart({ rows, horizon }) {
+  const ticks = horizonTicks(horizon);
+  const buckets = ticks.slice(1).map((end, i) => {
+    const start = ticks[i];
+    const bucket = { start, end };
+    MRR_MOVEMENTS.forEach(({ key }) => {
+      bucket[key] = rows.slice(start + 1, end + 1).reduce((sum, r) => sum + r[key], 0);
+    });
+    return bucket;
+  });
+  const maxUp = Math.max(...buckets.map(b => b.newMRR + b.expansionMRR));
+  const maxDown = Math.max(...buckets.map(b => b.contractionMRR + b.churnedMRR));
+  const chartH = 90;
+  const scale = chartH / ((maxUp + maxDown) || 1);
+  const zeroY = maxUp * scale;
+  const x = (m) => (m / horizon.months) * 390 + 5;
+  const totals = MRR_MOVEMENTS.map(mv => ({ ...mv, total: buckets.reduce((sum, b) => sum + b[mv.key], 0) }));
 
   return (
-    <div style={{ position: "relative", height: chartH + 40, width: "100%", marginTop: 12 }}>
-      <svg width="100%" height={chartH + 40} viewBox={`0 0 400 ${chartH + 40}`} preserveAspectRatio="none">
-        {[0, 0.25, 0.5, 0.75, 1].map((pct, i) => (
-          <line key={i} x1="0" x2="400" y1={chartH - pct * chartH} y2={chartH - pct * chartH}
-            stroke="rgba(255,255,255,0.05)" strokeWidth="1" />
-        ))}
-        <polyline
-          points={months.map((m, i) => `${(i / (months.length - 1)) * 390 + 5},${chartH - (baseline[i] / maxVal) * (chartH - 10)}`).join(" ")}
-          fill="none" stroke="rgba(255,255,255,0.15)" strokeWidth="2" strokeDasharray="6,4"
-        />
-        <polygon
-          points={`5,${chartH} ${months.map((m, i) => `${(i / (months.length - 1)) * 390 + 5},${chartH - (projected[i] / maxVal) * (chartH - 10)}`).join(" ")} 395,${chartH}`}
-          fill="url(#greenGrad)"
-        />
-        <polyline
-          points={months.map((m, i) => `${(i / (months.length - 1)) * 390 + 5},${chartH - (projected[i] / maxVal) * (chartH - 10)}`).join(" ")}
-          fill="none" stroke="rgba(107,142,80,0.8)" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"
-        />
-        {months.map((m, i) => (
-          <circle key={i}
-            cx={(i / (months.length - 1)) * 390 + 5}
-            cy={chartH - (projected[i] / maxVal) * (chartH - 10)}
-            r="3.5" fill="#1a2318" stroke="rgba(107,142,80,0.8)" strokeWidth="2"
-          />
-        ))}
-        {months.map((m, i) => (
-          <text key={i} x={(i / (months.length - 1)) * 390 + 5} y={chartH + 18}
-            textAnchor="middle" fill="rgba(255,255,255,0.3)" fontSize="10" fontFamily="DM Sans, sans-serif">
-            M{m}
-          </text>
-        ))}
-        {(() => {
-          const projY = chartH - (projected[4] / maxVal) * (chartH - 10) - 10;
-          const baseY = chartH - (baseline[4] / maxVal) * (chartH - 10) - 10;
-          const tooClose = Math.abs(projY - baseY) < 18;
-          const same = formatMRR(projected[4]) === formatMRR(baseline[4]);
-          return (
-            <>
-              <text x={395} y={same ? projY : projY} textAnchor="end"
-                fill="rgba(107,142,80,0.9)" fontSize="13" fontWeight="700" fontFamily="DM Sans, sans-serif">
-                {formatMRR(projected[4])}
-              </text>
-              {!same && (
-                <text x={395} y={tooClose ? baseY + 18 : baseY} textAnchor="end"
-                  fill="rgba(255,255,255,0.3)" fontSize="11" fontFamily="DM Sans, sans-serif">
-                  {formatMRR(baseline[4])} baseline
-                </text>
-              )}
-            </>
-          );
-        })()}
-        <defs>
-          <linearGradient id="greenGrad" x1="0" y1="0" x2="0" y2="1">
-            <stop offset="0%" stopColor="rgba(107,142,80,0.2)" />
-            <stop offset="100%" stopColor="rgba(107,142,80,0)" />
-          </linearGradient>
-        </defs>
+    <div style={{ marginTop: 16 }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 6 }}>
+        MRR movements
+      </div>
+      <svg width="100%" height={chartH} viewBox={`0 0 400 ${chartH}`} preserveAspectRatio="none">
+        <line x1="0" x2="400" y1={zeroY} y2={zeroY} stroke="rgba(255,255,255,0.1)" strokeWidth="1" />
+        {buckets.map((b, i) => {
+          const width = Math.max(1, (x(b.end) - x(b.start)) * 0.6);
+          const left = (x(b.start) + x(b.end)) / 2 - width / 2;
+          let up = zeroY, down = zeroY;
+          return MRR_MOVEMENTS.map(({ key, sign, color }) => {
+            const h = b[key] * scale;
+            const top = sign > 0 ? (up -= h) : down;
+            if (sign < 0) down += h;
+            return <rect key={`${i}-${key}`} x={left} y={top} width={width} height={h} fill={color} />;
+          });
+        })}
       </svg>
+      <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginTop: 6 }}>
+        {totals.map(t => (
+          <div key={t.key} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <div style={{ width: 8, height: 8, borderRadius: 2, background: t.color }} />
+            <span style={{ fontSize: 11, color: "rgba(255,255,255,0.4)" }}>
+              {t.label} {t.sign > 0 ? "+" : "−"}{formatMRR(Math.round(t.total))}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RolloutControls({ lever, rollout, onChange, months, segments }) {
+  const fieldStyle = {
+    width: 48, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+    borderRadius: 6, padding: "4px 8px", color: "#fff", fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif", fontWeight: 600, textAlign: "right", outline: "none",
+  };
+  const labelStyle = { fontSize: 12, color: "rgba(255,255,255,0.45)", fontFamily: "'DM Sans', sans-serif" };
+  const setField = (field, raw) => {
+    const value = Math.max(field === "start" ? 1 : 0, Math.round(parseFloat(raw) || 0));
+    onChange({ ...rollout, [field]: value });
+  };
+  const landed = rollout.start + Math.max(0, rollout.ramp - 1);
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginBottom: 20, padding: "0 4px" }}>
+      <span style={{ fontSize: 11, color: "rgba(107,142,80,0.8)", fontFamily: "'DM Sans', sans-serif", letterSpacing: "0.06em", textTransform: "uppercase" }}>
+        Rollout
+      </span>
+      <span style={labelStyle}>starts Month</span>
+      <input type="number" min={1} step={1} value={rollout.start} onChange={(e) => setField("start", e.target.value)} style={fieldStyle} />
+      <span style={labelStyle}>ramps over</span>
+      <input type="number" min={0} step={1} value={rollout.ramp} onChange={(e) => setField("ramp", e.target.value)} style={fieldStyle} />
+      <span style={labelStyle}>mo</span>
+      {segments.length > 0 && SEGMENT_KEYS.includes(lever.baseKey) && (
+        <select value={segments.some(seg => seg.id === rollout.scope) ? rollout.scope : "all"}
+          onChange={(e) => onChange({ ...rollout, scope: e.target.value })}
+          style={{ ...fieldStyle, width: "auto", textAlign: "left", fontWeight: 500 }}>
+          <option value="all">All segments</option>
+          {segments.map(seg => <option key={seg.id} value={seg.id}>{seg.name} only</option>)}
+        </select>
+      )}
+      {lever.baseKey === "arpu" && (
+        <select value={rollout.mode} onChange={(e) => onChange({ ...rollout, mode: e.target.value })}
+          style={{ ...fieldStyle, width: "auto", textAlign: "left", fontWeight: 500 }}>
+          {Object.entries(ARPU_ROLLOUT_MODES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+      )}
+      <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", fontFamily: "'DM Sans', sans-serif", marginLeft: "auto" }}>
+        {landed > months ? `Not fully landed by Month ${months}` : `Full effect from Month ${landed}`}
+      </span>
     </div>
   );
 }
 
-function LeverCard({ lever, value, baseValue, onChange, isExpanded, onToggle, assumptions }) {
-  const impactPct = calcIndependentImpact(assumptions, lever.id, value);
+function LeverCard({ lever, value, baseValue, onChange, isExpanded, onToggle, assumptions, months, rollout, onRolloutChange, onEdit, onRemove }) {
+  const impactPct = calcIndependentImpact(assumptions, lever.baseKey, value, months, rollout);
 
-  const potentialPct = calcIndependentImpact(assumptions, lever.id, lever.targetValue);
+  const potentialPct = calcIndependentImpact(assumptions, lever.baseKey, lever.targetValue, months, rollout);
 
   const isAtBaseline = value === baseValue;
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(107,142,80,0.8)", cursor: "pointer",
+    fontSize: 12, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
 
   return (
     <div style={{
@@ -304,7 +1697,7 @@ function LeverCard({ lever, value, baseValue, onChange, isExpanded, onToggle, as
                 fontSize: 13, fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
                 color: impactPct > 0 ? "rgba(107,180,80,0.9)" : impactPct < 0 ? "rgba(200,100,80,0.9)" : "rgba(255,255,255,0.4)",
               }}>
-                {impactPct > 0 ? "+" : ""}{impactPct}% Month 12 MRR
+                {impactPct > 0 ? "+" : ""}{impactPct}% Month {months} MRR
               </div>
               <div style={{
                 fontSize: 10, color: "rgba(255,255,255,0.25)", fontFamily: "'DM Sans', sans-serif",
@@ -345,22 +1738,35 @@ function LeverCard({ lever, value, baseValue, onChange, isExpanded, onToggle, as
             </div>
           </div>
 
-          <div style={{ background: "rgba(0,0,0,0.2)", borderRadius: 12, padding: 18, marginBottom: 16, borderLeft: "3px solid rgba(107,142,80,0.5)" }}>
-            <div style={{ fontSize: 11, color: "rgba(107,142,80,0.8)", fontFamily: "'DM Sans', sans-serif", letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
-              Why This Matters
+          {PHASED_KEYS.includes(lever.baseKey) ? (
+            <RolloutControls lever={lever} rollout={rollout[lever.baseKey]} onChange={onRolloutChange} months={months}
+              segments={assumptions.segments} />
+          ) : (
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", fontFamily: "'DM Sans', sans-serif", marginBottom: 20, padding: "0 4px" }}>
+              Applies in full from the start of the projection — this input has no rollout.
             </div>
-            <div style={{ fontSize: 14, color: "rgba(255,255,255,0.7)", fontFamily: "'DM Sans', sans-serif", lineHeight: 1.6 }}>
-              {lever.insight}
+          )}
+
+          {lever.insight && (
+            <div style={{ background: "rgba(0,0,0,0.2)", borderRadius: 12, padding: 18, marginBottom: 16, borderLeft: "3px solid rgba(107,142,80,0.5)" }}>
+              <div style={{ fontSize: 11, color: "rgba(107,142,80,0.8)", fontFamily: "'DM Sans', sans-serif", letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+                Why This Matters
+              </div>
+              <div style={{ fontSize: 14, color: "rgba(255,255,255,0.7)", fontFamily: "'DM Sans', sans-serif", lineHeight: 1.6 }}>
+                {lever.insight}
+              </div>
             </div>
-          </div>
+          )}
 
-          <div style={{ background: "rgba(255,255,255,0.02)", borderRadius: 12, padding: 16, marginBottom: 16, borderLeft: "2px solid rgba(255,255,255,0.08)" }}>
-            <div style={{ fontSize: 13, color: "rgba(255,255,255,0.5)", fontFamily: "'DM Sans', sans-serif", lineHeight: 1.6 }}>
-              {lever.analogy}
+          {lever.analogy && (
+            <div style={{ background: "rgba(255,255,255,0.02)", borderRadius: 12, padding: 16, marginBottom: 16, borderLeft: "2px solid rgba(255,255,255,0.08)" }}>
+              <div style={{ fontSize: 13, color: "rgba(255,255,255,0.5)", fontFamily: "'DM Sans', sans-serif", lineHeight: 1.6 }}>
+                {lever.analogy}
+              </div>
             </div>
-          </div>
+          )}
 
-          <div>
+          {lever.tactics.length > 0 && <div>
             <div style={{ fontSize: 11, color: "rgba(107,142,80,0.8)", fontFamily: "'DM Sans', sans-serif", letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 10 }}>
               Recommended Tactics
             </div>
@@ -376,48 +1782,528 @@ function LeverCard({ lever, value, baseValue, onChange, isExpanded, onToggle, as
                 </div>
               </div>
             ))}
-          </div>
+          </div>}
+
+          {lever.custom && (
+            <div style={{ display: "flex", gap: 14, marginTop: 8 }}>
+              <button onClick={onEdit} style={linkStyle}>Edit lever</button>
+              <button onClick={onRemove} style={{ ...linkStyle, color: "rgba(200,100,80,0.8)" }}>Remove lever</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Add or edit a custom lever: the assumption it moves, its slider range and
+   target, and the insight and tactics its card and plan entry show. */
+function CustomLeverForm({ assumptions, levers, initial, onSave, onCancel }) {
+  const taken = levers.map(l => l.baseKey);
+  const available = Object.keys(ASSUMPTION_META).filter(key => key === initial?.baseKey || !taken.includes(key));
+  const [draft, setDraft] = useState(() => initial
+    ? { ...initial, tacticsText: initial.tactics.join("\n") }
+    : { ...customLever(assumptions, available[0]), tacticsText: "" });
+  const set = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const setNumber = (field, raw) => set(field, raw === "" ? "" : parseFloat(raw));
+  const pickKey = (key) => setDraft(prev => ({
+    ...customLever(assumptions, key, prev.direction), insight: prev.insight, tacticsText: prev.tacticsText,
+  }));
+
+  const { min, max, step, targetValue } = draft;
+  const error = [min, max, step, targetValue].some(v => v === "" || !Number.isFinite(v)) ? "Fill in the range, step and target."
+    : min >= max ? "Min must be below max."
+    : step <= 0 ? "Step must be above zero."
+    : targetValue < min || targetValue > max ? "Target must sit inside the range."
+    : !draft.label.trim() ? "Give the lever a name."
+    : null;
+
+  const save = () => {
+    const { tacticsText, ...lever } = draft;
+    onSave({ ...lever, label: lever.label.trim(), tactics: tacticsText.split("\n").map(t => t.trim()).filter(Boolean) });
+  };
+
+  const fieldStyle = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+    borderRadius: 6, padding: "4px 8px", color: "#fff", fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif", outline: "none",
+  };
+  const labelStyle = { fontSize: 11, color: "rgba(255,255,255,0.4)", display: "flex", flexDirection: "column", gap: 4 };
+  const buttonStyle = {
+    background: "rgba(107,142,80,0.15)", border: "1px solid rgba(107,142,80,0.3)", color: "rgba(107,142,80,0.9)",
+    padding: "6px 14px", borderRadius: 8, cursor: "pointer", fontSize: 12, fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
+  };
+  const unitLabel = `${draft.prefix}${draft.unit}`;
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.03)", border: "1px solid rgba(107,142,80,0.3)",
+      borderRadius: 16, padding: 24, animation: "fadeSlideIn 0.3s ease",
+    }}>
+      <div style={{ fontSize: 13, color: "rgba(107,142,80,0.9)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 14 }}>
+        {initial ? "Edit lever" : "New lever"}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: 12, marginBottom: 12 }}>
+        <label style={labelStyle}>
+          Assumption
+          <select value={draft.baseKey} disabled={!!initial} onChange={(e) => pickKey(e.target.value)} style={fieldStyle}>
+            {available.map(key => <option key={key} value={key}>{ASSUMPTION_META[key].label}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Name
+          <input value={draft.label} onChange={(e) => set("label", e.target.value)} style={fieldStyle} />
+        </label>
+        <label style={labelStyle}>
+          Direction
+          <select value={draft.direction} onChange={(e) => set("direction", e.target.value)} style={fieldStyle}>
+            {Object.entries(LEVER_DIRECTIONS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 12 }}>
+        {[["min", "Min"], ["max", "Max"], ["step", "Step"], ["targetValue", "Target"]].map(([field, label]) => (
+          <label key={field} style={labelStyle}>
+            {label}{unitLabel && ` (${unitLabel})`}
+            <input type="number" value={draft[field]} onChange={(e) => setNumber(field, e.target.value)} style={fieldStyle} />
+          </label>
+        ))}
+      </div>
+      <label style={{ ...labelStyle, marginBottom: 12 }}>
+        Why it matters
+        <textarea value={draft.insight} onChange={(e) => set("insight", e.target.value)} rows={2} style={{ ...fieldStyle, resize: "vertical" }} />
+      </label>
+      <label style={{ ...labelStyle, marginBottom: 12 }}>
+        Tactics (one per line)
+        <textarea value={draft.tacticsText} onChange={(e) => set("tacticsText", e.target.value)} rows={3} style={{ ...fieldStyle, resize: "vertical" }} />
+      </label>
+      {error && <div style={{ fontSize: 11, color: "rgba(200,100,80,0.9)", marginBottom: 10 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 10 }}>
+        <button onClick={save} disabled={!!error} style={{ ...buttonStyle, opacity: error ? 0.4 : 1 }}>
+          {initial ? "Save lever" : "Add lever"}
+        </button>
+        <button onClick={onCancel} style={{ ...buttonStyle, background: "none", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.45)" }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* Saved scenarios: a switcher showing which one is loaded and whether it has
+   unsaved edits (for a new scenario, any change from the company's defaults),
+   plus save, duplicate, rename and delete. Naming and deleting ask inline. */
+function ScenarioBar({ scenarios, current, dirty, onOpen, onSave, onSaveAs, onRename, onDelete }) {
+  const [naming, setNaming] = useState(null);
+  const [name, setName] = useState("");
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const controlStyle = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 6,
+    padding: "4px 8px", color: "#fff", fontSize: 12, fontFamily: "'DM Sans', sans-serif",
+  };
+  const linkStyle = {
+    background: "none", border: "none", color: "rgba(107,142,80,0.8)", cursor: "pointer",
+    fontSize: 11, fontFamily: "'DM Sans', sans-serif", padding: 0,
+  };
+  const startNaming = (mode, initial) => { setNaming(mode); setName(initial); setConfirmDelete(false); };
+  const submitName = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (naming === "rename") onRename(trimmed);
+    else onSaveAs(trimmed);
+    setNaming(null);
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginTop: 16, fontSize: 11, color: "rgba(255,255,255,0.35)" }}>
+      <span>Scenario</span>
+      <select value={current?.id ?? ""} style={{ ...controlStyle, cursor: "pointer" }}
+        onChange={(e) => {
+          if (dirty && !window.confirm(current ? `Discard unsaved changes to "${current.name}"?` : "Discard this unsaved scenario?")) return;
+          onOpen(scenarios.find(s => s.id === e.target.value));
+        }}>
+        {!current && <option value="">Unsaved scenario</option>}
+        {scenarios.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+      </select>
+      {dirty && <span style={{ color: "rgba(200,170,80,0.8)" }}>● Unsaved changes</span>}
+      {current && !dirty && <span>Saved</span>}
+
+      {naming ? (
+        <form onSubmit={(e) => { e.preventDefault(); submitName(); }} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <input autoFocus value={name} onChange={(e) => setName(e.target.value)} placeholder="Scenario name"
+            style={{ ...controlStyle, width: 160, outline: "none" }} />
+          <button type="submit" style={linkStyle}>{naming === "rename" ? "Rename" : "Save"}</button>
+          <button type="button" onClick={() => setNaming(null)} style={{ ...linkStyle, color: "rgba(255,255,255,0.35)" }}>Cancel</button>
+        </form>
+      ) : confirmDelete ? (
+        <span style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          Delete "{current.name}"?
+          <button onClick={() => { onDelete(); setConfirmDelete(false); }} style={{ ...linkStyle, color: "rgba(200,100,80,0.9)" }}>Delete</button>
+          <button onClick={() => setConfirmDelete(false)} style={{ ...linkStyle, color: "rgba(255,255,255,0.35)" }}>Cancel</button>
+        </span>
+      ) : (
+        <span style={{ display: "flex", alignItems: "center", gap: 12, marginLeft: "auto" }}>
+          {current
+            ? dirty && <button onClick={onSave} style={linkStyle}>Save</button>
+            : <button onClick={() => startNaming("new", "")} style={linkStyle}>Save…</button>}
+          {current && (
+            <>
+              <button onClick={() => startNaming("new", `${current.name} copy`)} style={linkStyle}>Duplicate</button>
+              <button onClick={() => startNaming("rename", current.name)} style={linkStyle}>Rename</button>
+              <button onClick={() => setConfirmDelete(true)} style={{ ...linkStyle, color: "rgba(255,255,255,0.35)" }}>Delete</button>
+            </>
+          )}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/* Company picker: the built-in profiles plus any loaded from a JSON file this
+   session. A file that fails validation lists its problems instead. */
+function ProfilePicker({ profiles, current, onSelect, onLoad }) {
+  const [errors, setErrors] = useState(null);
+  const handleFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      let raw;
+      try { raw = JSON.parse(text); } catch { setErrors([`${file.name} isn't valid JSON.`]); return; }
+      const result = parseProfile(raw);
+      if (result.errors) { setErrors(result.errors); return; }
+      setErrors(null);
+      onLoad(result.profile);
+    });
+  };
+  const controlStyle = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 6,
+    padding: "4px 8px", color: "#fff", fontSize: 12, fontFamily: "'DM Sans', sans-serif", cursor: "pointer",
+  };
+
+  return (
+    <div style={{ marginLeft: "auto", textAlign: "right" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, justifyContent: "flex-end" }}>
+        <select value={current} onChange={(e) => onSelect(profiles.find(p => p.id === e.target.value))} style={controlStyle}>
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <label style={{ ...controlStyle, color: "rgba(255,255,255,0.5)" }}>
+          Load profile JSON
+          <input type="file" accept=".json,application/json" style={{ display: "none" }}
+            onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+      </div>
+      {errors && (
+        <div style={{ fontSize: 11, color: "rgba(200,100,80,0.9)", marginTop: 6, lineHeight: 1.5, maxWidth: 360, marginLeft: "auto" }}>
+          {errors.map((err, i) => <div key={i}>{err}</div>)}
         </div>
       )}
     </div>
   );
 }
 
+/* Pause (ms) after the last input change before the bands rerun. */
+const SIMULATION_DELAY = 250;
+
+/* The value once it has stopped changing for `delay` ms, so slow work
+   waits for a slider drag to finish instead of running on every tick. */
+function useSettled(value, delay) {
+  const [settled, setSettled] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setSettled(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return settled;
+}
+
 /* ───────── main app ───────── */
 export default function KitaGrowthEngine() {
-  const [assumptions, setAssumptions] = useState(DEFAULT_ASSUMPTIONS);
+  const [linked] = useState(linkedScenario);
+  /* Once the view is restored the link has done its job; dropping it keeps a
+     refresh from throwing away edits made since. */
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    if (SHARE_HASH.test(hash)) window.history.replaceState(null, "", `${pathname}${search}`);
+  }, []);
+  const [opened] = useState(() => (linked ? null : lastOpenScenario()));
+  const start = linked ?? opened ?? scenarioDefaults(BUILT_IN_PROFILES[0]);
+  const [profiles, setProfiles] = useState(start.profile ? [...BUILT_IN_PROFILES, start.profile] : BUILT_IN_PROFILES);
+  const [profileId, setProfileId] = useState(start.profileId);
+  const [assumptions, setAssumptions] = useState(start.assumptions);
   const [assumptionsOpen, setAssumptionsOpen] = useState(false);
-  const [expanded, setExpanded] = useState(null);
-  const [churn, setChurn] = useState(null);
-  const [arpu, setArpu] = useState(null);
-  const [activation, setActivation] = useState(null);
+  const [expanded, setExpanded] = useState(linked?.expanded ?? null);
+  const [levers, setLevers] = useState(start.levers);
+  const [leverValues, setLeverValues] = useState(start.leverValues);
+  const [leverForm, setLeverForm] = useState(null);
+  const [horizon, setHorizon] = useState(start.horizon);
+  const [uncertainty, setUncertainty] = useState({});
+  const [uncertaintyOn, setUncertaintyOn] = useState(false);
+  const [goal, setGoal] = useState(null);
+  const [rollout, setRollout] = useState(start.rollout);
+  const [sensitivityOpen, setSensitivityOpen] = useState(false);
+  const [sensitivity, setSensitivity] = useState(DEFAULT_SENSITIVITY);
+  const [actuals, setActuals] = useState(null);
+  const [anchored, setAnchored] = useState(false);
+  const [plans, setPlans] = useState(() => readStored(PLANS_KEY, {}));
+  const [scenarios, setScenarios] = useState(() => readStored(SCENARIOS_KEY, []));
+  const [scenarioId, setScenarioId] = useState(opened?.id ?? null);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [compareIds, setCompareIds] = useState([]);
+
+  /* What the projection runs on: the assumptions as edited, restarted from
+     the latest actual month when anchored. */
+  const modelAssumptions = useMemo(
+    () => anchored && actuals ? anchorToActuals(assumptions, actuals) : assumptions,
+    [anchored, actuals, assumptions]
+  );
+
+  /* A lever rolled out to one segment starts from that segment's value. */
+  const leverBaseValue = (key) => {
+    const segment = modelAssumptions.segments.find(seg => seg.id === rollout[key]?.scope);
+    return segment ? segment[key] : modelAssumptions[key];
+  };
+  const profile = profiles.find(p => p.id === profileId);
+
+  /* Replaces everything a scenario holds; actuals and the scenarios picked
+     for comparison belong to a company, so they go when the company changes. */
+  const loadState = (state) => {
+    if (state.profileId !== profileId) {
+      setActuals(null);
+      setAnchored(false);
+      setCompareIds([]);
+    }
+    setProfileId(state.profileId);
+    setAssumptions(state.assumptions);
+    setLevers(state.levers);
+    setLeverValues(state.leverValues);
+    setRollout(state.rollout);
+    setHorizon(state.horizon);
+    setUncertainty({});
+    setGoal(null);
+    setExpanded(null);
+    setLeverForm(null);
+  };
+
+  const openScenarioId = (id) => {
+    setScenarioId(id);
+    writeStored(OPEN_SCENARIO_KEY, id);
+  };
+
+  /* Switching company starts a new, unsaved scenario from that profile's
+     assumptions and levers. */
+  const selectProfile = (next) => {
+    loadState(scenarioDefaults(next, horizon));
+    openScenarioId(null);
+  };
 
-  const effectiveChurn = churn ?? assumptions.churnRate;
-  const effectiveArpu = arpu ?? assumptions.arpu;
-  const effectiveActivation = activation ?? assumptions.activationRate;
+  const addProfile = (next) => {
+    setProfiles(prev => [...prev.filter(p => p.id !== next.id), next]);
+    selectProfile(next);
+  };
+
+  /* Lever values are keyed by the assumption they move; a lever without one
+     sits at its baseline. */
+  const setLeverValue = (key, value) => setLeverValues(prev => {
+    const { [key]: _, ...rest } = prev;
+    return value === null ? rest : { ...rest, [key]: value };
+  });
+  const effectiveValues = Object.fromEntries(levers.map(l => [l.baseKey, leverValues[l.baseKey] ?? leverBaseValue(l.baseKey)]));
 
   const handleAssumptionChange = (key, val) => {
     setAssumptions(prev => ({ ...prev, [key]: val }));
-    if (key === "churnRate") setChurn(null);
-    if (key === "arpu") setArpu(null);
-    if (key === "activationRate") setActivation(null);
+    setLeverValue(key, null);
+  };
+
+  const resetLevers = () => setLeverValues({});
+
+  const currentScenario = scenarios.find(s => s.id === scenarioId) ?? null;
+  const working = scenarioState({ profileId, assumptions, levers, leverValues, rollout, horizon });
+  const scenarioDirty = JSON.stringify(working)
+    !== JSON.stringify(currentScenario ? scenarioState(currentScenario) : scenarioDefaults(profile, horizon));
+
+  const storeScenarios = (next) => {
+    setScenarios(next);
+    writeStored(SCENARIOS_KEY, next);
+  };
+  const snapshot = () => ({
+    ...working,
+    ...(BUILT_IN_PROFILES.some(p => p.id === profileId) ? {} : { profile }),
+    savedAt: new Date().toISOString(),
+  });
+  const saveScenario = () => storeScenarios(scenarios.map(s => (s.id === scenarioId ? { ...s, ...snapshot() } : s)));
+  const saveScenarioAs = (name) => {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    storeScenarios([...scenarios, { id, name, ...snapshot() }]);
+    openScenarioId(id);
+  };
+  const renameScenario = (name) => storeScenarios(scenarios.map(s => (s.id === scenarioId ? { ...s, name } : s)));
+  const deleteScenario = () => {
+    storeScenarios(scenarios.filter(s => s.id !== scenarioId));
+    setCompareIds(prev => prev.filter(id => id !== scenarioId));
+    openScenarioId(null);
+  };
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLink = () => {
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}${shareHash(working, profile, expanded)}`;
+    const copied = () => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    };
+    if (navigator.clipboard) navigator.clipboard.writeText(url).then(copied, () => window.prompt("Copy this link:", url));
+    else window.prompt("Copy this link:", url);
+  };
+
+  const openScenario = (scenario) => {
+    if (scenario.profile && !profiles.some(p => p.id === scenario.profile.id)) setProfiles(prev => [...prev, scenario.profile]);
+    loadState(scenario);
+    openScenarioId(scenario.id);
+  };
+
+  /* Fitted values replace the assumptions (segments move in proportion) and
+     put those levers back at the new baseline. A fitted churn is already
+     blended across tenures, so the retention curve goes flat rather than
+     adding early-life churn on top of it. */
+  const applyFittedValues = (values) => {
+    setAssumptions(prev => {
+      const next = Object.entries(values).reduce((acc, [key, value]) => withAssumption(acc, key, value), prev);
+      return values.churnRate != null ? { ...next, retentionCurve: "flat" } : next;
+    });
+    Object.keys(values).forEach(key => setLeverValue(key, null));
+  };
+
+  const saveLever = (lever) => {
+    setLevers(prev => prev.some(l => l.id === lever.id) ? prev.map(l => (l.id === lever.id ? lever : l)) : [...prev, lever]);
+    setRollout(prev => ({ ...prev, [lever.baseKey]: prev[lever.baseKey] ?? lever.rollout }));
+    const value = leverValues[lever.baseKey];
+    if (value != null && (value < lever.min || value > lever.max)) setLeverValue(lever.baseKey, null);
+    setLeverForm(null);
+    setExpanded(lever.id);
+  };
+
+  const removeLever = (lever) => {
+    setLevers(prev => prev.filter(l => l.id !== lever.id));
+    setLeverValue(lever.baseKey, null);
+    setRollout(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => key !== lever.baseKey)));
+  };
+
+  const handleSegmentsChange = (segments) => {
+    handleAssumptionChange("segments", segments);
+    resetLevers();
+    setRollout(prev => Object.fromEntries(Object.entries(prev).map(([key, r]) => [
+      key, r.scope && !segments.some(seg => seg.id === r.scope) ? { ...r, scope: "all" } : r,
+    ])));
   };
 
-  const baseMRR12 = calculateMRR(assumptions, assumptions.churnRate, assumptions.arpu, assumptions.activationRate, 12);
-  const projMRR12 = calculateMRR(assumptions, effectiveChurn, effectiveArpu, effectiveActivation, 12);
-  const mrrLift = Math.round(((projMRR12 - baseMRR12) / baseMRR12) * 100);
-  const isModified = churn !== null || arpu !== null || activation !== null;
+  const lookahead = Math.max(horizon.months, RUNWAY_LOOKAHEAD);
+  const baseLongRows = simulateMonths(modelAssumptions, {}, lookahead);
+  const projOverrides = effectiveValues;
+  const projLongRows = simulateMonths(modelAssumptions, projOverrides, lookahead, rollout);
+  const baseRows = baseLongRows.slice(0, horizon.months + 1);
+  const projRows = projLongRows.slice(0, horizon.months + 1);
+  const baseMRR = baseRows[horizon.months].mrr;
+  const projMRR = projRows[horizon.months].mrr;
+  const retention = revenueRetention(projRows);
+  const baseEconomics = unitEconomics(modelAssumptions, {}, baseRows);
+  const projEconomics = unitEconomics(modelAssumptions, projOverrides, projRows, rollout);
+
+  /* The bands follow the inputs once they settle; the horizon applies at
+     once so the bands always span the chart. */
+  const simulationInputs = useMemo(
+    () => ({ assumptions: modelAssumptions, overrides: leverValues, uncertainty, rollout }),
+    [modelAssumptions, leverValues, uncertainty, rollout]
+  );
+  const settledInputs = useSettled(simulationInputs, SIMULATION_DELAY);
+  const simulation = useMemo(
+    () => {
+      if (!uncertaintyOn) return null;
+      const { assumptions, overrides, uncertainty, rollout } = settledInputs;
+      return runMonteCarlo(assumptions, overrides, uncertainty, horizon.months, rollout);
+    },
+    [uncertaintyOn, settledInputs, horizon.months]
+  );
+  const goalSolutions = useMemo(
+    () => goal == null ? null : {
+      levers: levers.map(lever => ({ lever, solution: seekGoal(modelAssumptions, projOverrides, [lever], goal, horizon.months, rollout) })),
+      combined: seekGoal(modelAssumptions, projOverrides, levers, goal, horizon.months, rollout),
+    },
+    [goal, modelAssumptions, levers, leverValues, horizon.months, rollout]
+  );
+  const applyLeverValues = (values) => setLeverValues(prev => ({ ...prev, ...values }));
+  const sensitivityResult = useMemo(
+    () => sensitivityOpen ? sensitivityAnalysis(modelAssumptions, horizon.months, sensitivity) : null,
+    [sensitivityOpen, modelAssumptions, horizon.months, sensitivity]
+  );
+  const mrrLift = baseMRR > 0 ? Math.round(((projMRR - baseMRR) / baseMRR) * 100) : 0;
+  const isModified = Object.keys(leverValues).length > 0;
+  const attribution = useMemo(
+    () => isModified ? attributeLift(modelAssumptions, leverValues, horizon.months, rollout) : null,
+    [isModified, modelAssumptions, leverValues, horizon.months, rollout]
+  );
+
+  const assumptionsEdited = JSON.stringify(assumptions) !== JSON.stringify(profile.assumptions);
+
+  const computedMRR = baseRows[0].mrr;
+
+  /* Actual MRR by model month: the latest actual is month 0 when anchored,
+     otherwise the first actual lines up with month 0. */
+  const actualPoints = actuals && actuals
+    .map((row, i) => ({ month: anchored ? i - (actuals.length - 1) : i, mrr: row.mrr }))
+    .filter(p => p.mrr != null && p.month <= horizon.months);
 
-  const assumptionsEdited = JSON.stringify(assumptions) !== JSON.stringify(DEFAULT_ASSUMPTIONS);
+  /* One locked plan per company, kept across visits. */
+  const plan = plans[profileId] ?? null;
+  const savePlan = (next) => {
+    const { [profileId]: _, ...rest } = plans;
+    const updated = next ? { ...rest, [profileId]: next } : rest;
+    setPlans(updated);
+    writeStored(PLANS_KEY, updated);
+  };
+  const lockCurrentPlan = () => savePlan(lockPlan({
+    assumptions: modelAssumptions,
+    values: leverValues,
+    rollout,
+    months: horizon.months,
+    startMonth: anchored && actuals ? actuals[actuals.length - 1].month : null,
+    lockedOn: new Date().toISOString().slice(0, 10),
+  }));
+  const variance = useMemo(() => {
+    if (!plan || !actuals) return null;
+    const result = planVariance(plan, actuals);
+    return result.error || result.months.length > 0 ? result : null;
+  }, [plan, actuals]);
+  const forecast = useMemo(() => variance && !variance.error ? reforecast(plan, actuals) : null, [variance, plan, actuals]);
+
+  /* Saved scenarios for this company, run over the current horizon — from
+     the latest actual month too when the view is anchored. */
+  const companyScenarios = scenarios.filter(s => s.profileId === profileId);
+  const compareSelection = compareIds.filter(id => companyScenarios.some(s => s.id === id));
+  const compared = useMemo(() => !compareOpen ? [] : compareSelection
+    .map(id => companyScenarios.find(s => s.id === id))
+    .map(scenario => ({
+      scenario,
+      ...scenarioMetrics({
+        assumptions: anchored && actuals ? anchorToActuals(scenario.assumptions, actuals) : scenario.assumptions,
+        values: scenario.leverValues,
+        rollout: scenario.rollout,
+        months: horizon.months,
+      }),
+    })),
+  [compareOpen, compareIds, scenarios, profileId, anchored, actuals, horizon.months]);
 
-  const computedMRR = Math.round(assumptions.customers * assumptions.arpu * 1000);
+  /* The projection as it stands, with live formulas, for checking in Excel. */
+  const downloadWorkbook = () => downloadFile(
+    `${profileId}-model-${horizon.months}m.xlsx`,
+    writeXlsx(scenarioWorkbook({ name: profile.name, assumptions: modelAssumptions, values: leverValues, rollout, months: horizon.months })),
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
 
-  const hitAllTargets = () => { setChurn(2); setArpu(9); setActivation(60); };
+  const hitAllTargets = () => setLeverValues(Object.fromEntries(levers.map(l => [l.baseKey, l.targetValue])));
 
-  const coreInsight = generateCoreInsight(assumptions, effectiveChurn, effectiveArpu, effectiveActivation);
+  const coreInsight = generateCoreInsight(modelAssumptions, levers, effectiveValues, horizon.months, rollout);
 
   const businessKeys = Object.entries(ASSUMPTION_META).filter(([, m]) => m.group === "business").map(([k]) => k);
   const funnelKeys = Object.entries(ASSUMPTION_META).filter(([, m]) => m.group === "funnel").map(([k]) => k);
+  const costKeys = Object.entries(ASSUMPTION_META).filter(([, m]) => m.group === "costs").map(([k]) => k);
+  const operatingKeys = Object.entries(ASSUMPTION_META).filter(([, m]) => m.group === "operating").map(([k]) => k);
 
   return (
     <div style={{
@@ -449,20 +2335,26 @@ export default function KitaGrowthEngine() {
 
         {/* Header */}
         <div style={{ marginBottom: 32, animation: "fadeIn 0.6s ease" }}>
-          <div style={{ fontSize: 13, color: "rgba(107,142,80,0.7)", letterSpacing: "0.1em", textTransform: "uppercase", marginBottom: 12, fontWeight: 500 }}>
-            Growth Analysis
+          <div style={{ display: "flex", alignItems: "flex-start", gap: 12, marginBottom: 12 }}>
+            <div style={{ fontSize: 13, color: "rgba(107,142,80,0.7)", letterSpacing: "0.1em", textTransform: "uppercase", fontWeight: 500 }}>
+              Growth Analysis
+            </div>
+            <ProfilePicker profiles={profiles} current={profileId} onSelect={selectProfile} onLoad={addProfile} />
           </div>
           <h1 style={{
             fontFamily: "'Playfair Display', serif", fontSize: "clamp(28px, 5vw, 38px)",
             fontWeight: 700, lineHeight: 1.15, marginBottom: 14, color: "#fff",
           }}>
             The levers that move{" "}
-            <span style={{ color: "rgba(107,142,80,0.9)" }}>Kita's MRR.</span>
+            <span style={{ color: "rgba(107,142,80,0.9)" }}>{profile.name}'s MRR.</span>
           </h1>
           <p style={{ fontSize: 15, color: "rgba(255,255,255,0.45)", lineHeight: 1.65, maxWidth: 520 }}>
-            An interactive model of Kita's growth engine. Start by checking the assumptions, 
-            then tap each lever to see the strategy — and drag sliders to see how the numbers move.
+            {profile.tagline}
           </p>
+          <ScenarioBar scenarios={scenarios} current={currentScenario} dirty={scenarioDirty}
+            onOpen={openScenario} onSave={saveScenario} onSaveAs={saveScenarioAs}
+            onRename={renameScenario} onDelete={deleteScenario}
+          />
         </div>
 
         {/* ── ASSUMPTIONS PANEL ── */}
@@ -491,7 +2383,11 @@ export default function KitaGrowthEngine() {
                 </div>
                 <div style={{ fontSize: 12, color: "rgba(255,255,255,0.35)", marginTop: 2 }}>
                   {assumptionsOpen
-                    ? `Implied MRR: ${formatMRR(computedMRR)} (${assumptions.customers} customers × $${assumptions.arpu}K ARPU)`
+                    ? modelAssumptions !== assumptions
+                      ? `Starting MRR: ${formatMRR(computedMRR)} (from ${actuals[actuals.length - 1].month} actuals)`
+                      : assumptions.segments.length > 0
+                        ? `Implied MRR: ${formatMRR(computedMRR)} (across ${assumptions.segments.length} segments)`
+                        : `Implied MRR: ${formatMRR(computedMRR)} (${assumptions.customers} customers × $${assumptions.arpu}K ARPU)`
                     : "Tap to review & edit the baseline numbers"
                   }
                 </div>
@@ -516,6 +2412,8 @@ export default function KitaGrowthEngine() {
                 </div>
               </div>
 
+              <FitFromActuals assumptions={assumptions} actuals={actuals} onApply={applyFittedValues} />
+
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 32px", alignItems: "start" }}>
                 <div>
                   <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8, paddingTop: 4 }}>
@@ -524,6 +2422,12 @@ export default function KitaGrowthEngine() {
                   {businessKeys.map(key => (
                     <AssumptionInput key={key} id={key} meta={ASSUMPTION_META[key]} value={assumptions[key]} onChange={handleAssumptionChange} />
                   ))}
+                  <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8, marginTop: 16 }}>
+                    Acquisition Costs
+                  </div>
+                  {costKeys.map(key => (
+                    <AssumptionInput key={key} id={key} meta={ASSUMPTION_META[key]} value={assumptions[key]} onChange={handleAssumptionChange} />
+                  ))}
                 </div>
                 <div>
                   <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8, paddingTop: 4 }}>
@@ -532,20 +2436,40 @@ export default function KitaGrowthEngine() {
                   {funnelKeys.map(key => (
                     <AssumptionInput key={key} id={key} meta={ASSUMPTION_META[key]} value={assumptions[key]} onChange={handleAssumptionChange} />
                   ))}
+                  <StageDelayInputs assumptions={assumptions} onChange={handleAssumptionChange} />
+                  <div style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8, marginTop: 16 }}>
+                    Operating
+                  </div>
+                  {operatingKeys.map(key => (
+                    <AssumptionInput key={key} id={key} meta={ASSUMPTION_META[key]} value={assumptions[key]} onChange={handleAssumptionChange} />
+                  ))}
                 </div>
               </div>
 
-              {assumptionsEdited && (
-                <div style={{ textAlign: "right", marginTop: 12 }}>
-                  <button onClick={() => { setAssumptions(DEFAULT_ASSUMPTIONS); setChurn(null); setArpu(null); setActivation(null); }}
+              <RetentionCurveEditor assumptions={assumptions} onChange={handleAssumptionChange} />
+
+              <ActivationWeightEditor assumptions={assumptions} onChange={handleAssumptionChange} />
+
+              <SegmentsEditor assumptions={assumptions} seeds={profile.segmentSeeds} onChange={handleSegmentsChange} />
+
+              <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 12 }}>
+                <button onClick={copyLink}
+                  style={{
+                    background: "none", border: "1px solid rgba(200,170,80,0.2)", color: "rgba(200,170,80,0.6)",
+                    padding: "5px 14px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif",
+                  }}>
+                  {linkCopied ? "Link copied" : "Copy link"}
+                </button>
+                {assumptionsEdited && (
+                  <button onClick={() => { setAssumptions(profile.assumptions); resetLevers(); }}
                     style={{
                       background: "none", border: "1px solid rgba(200,170,80,0.2)", color: "rgba(200,170,80,0.6)",
                       padding: "5px 14px", borderRadius: 6, cursor: "pointer", fontSize: 11, fontFamily: "'DM Sans', sans-serif",
                     }}>
                     Reset to defaults
                   </button>
-                </div>
-              )}
+                )}
+              </div>
             </div>
           )}
         </div>
@@ -558,13 +2482,38 @@ export default function KitaGrowthEngine() {
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 4 }}>
             <div>
               <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", letterSpacing: "0.08em", textTransform: "uppercase", marginBottom: 8 }}>
-                Projected Month 12 MRR
+                Projected Month {horizon.months} MRR
               </div>
               <div style={{
                 fontFamily: "'Playfair Display', serif", fontSize: 42, fontWeight: 800,
                 color: "#fff", lineHeight: 1, transition: "all 0.3s ease",
               }}>
-                {formatMRR(projMRR12)}
+                {formatMRR(projMRR)}
+              </div>
+              <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 10 }}>
+                NRR <span style={{ color: "#fff", fontWeight: 600 }}>{retention.nrr}%</span>
+                {" · "}GRR <span style={{ color: "#fff", fontWeight: 600 }}>{retention.grr}%</span>
+                <span style={{ color: "rgba(255,255,255,0.25)" }}> — annualized, last {Math.min(12, horizon.months)} months</span>
+              </div>
+              {projRows[horizon.months].bySegment && (
+                <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 4 }}>
+                  {modelAssumptions.segments.map((seg, i) => {
+                    const segMRR = projRows[horizon.months].bySegment[seg.id].mrr;
+                    return (
+                      <span key={seg.id}>
+                        {i > 0 && " · "}{seg.name}{" "}
+                        <span style={{ color: "#fff", fontWeight: 600 }}>{formatMRR(segMRR)}</span>
+                        {projMRR > 0 && ` (${Math.round((segMRR / projMRR) * 100)}%)`}
+                      </span>
+                    );
+                  })}
+                </div>
+              )}
+              <div style={{ fontSize: 12, color: "rgba(255,255,255,0.4)", marginTop: 4 }}>
+                In flight at Month {horizon.months}:{" "}
+                <span style={{ color: "#fff", fontWeight: 600 }}>{Math.round(projRows[horizon.months].awaitingDemo)}</span> leads awaiting demo
+                {" · "}<span style={{ color: "#fff", fontWeight: 600 }}>{Math.round(projRows[horizon.months].awaitingTrial)}</span> in demo
+                {" · "}<span style={{ color: "#fff", fontWeight: 600 }}>{Math.round(projRows[horizon.months].awaitingDecision)}</span> in trial
               </div>
             </div>
             {isModified && (
@@ -592,10 +2541,11 @@ export default function KitaGrowthEngine() {
               Chart reflects all active levers combined — effects are multiplicative
             </div>
           )}
+          {attribution && <LiftAttribution attribution={attribution} baseMRR={baseMRR} levers={levers} />}
 
-          <MRRChart assumptions={assumptions} churn={effectiveChurn} arpu={effectiveArpu} activation={effectiveActivation} />
+          <MRRChart baseRows={baseRows} projRows={projRows} horizon={horizon} bands={simulation} actuals={actualPoints} />
 
-          <div style={{ display: "flex", gap: 16, marginTop: 12 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 16, marginTop: 12, flexWrap: "wrap" }}>
             <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
               <div style={{ width: 16, height: 2, background: "rgba(107,142,80,0.8)", borderRadius: 1 }} />
               <span style={{ fontSize: 11, color: "rgba(255,255,255,0.4)" }}>Your scenario</span>
@@ -604,9 +2554,71 @@ export default function KitaGrowthEngine() {
               <div style={{ width: 16, height: 0, borderTop: "2px dashed rgba(255,255,255,0.15)" }} />
               <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>Baseline</span>
             </div>
+            {simulation && (
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <div style={{ width: 16, height: 8, background: "rgba(107,142,80,0.2)", borderRadius: 2 }} />
+                <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>P10–P90</span>
+              </div>
+            )}
+            {actualPoints?.length > 0 && (
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <div style={{ width: 16, height: 2, background: "rgba(200,170,80,0.85)", borderRadius: 1 }} />
+                <span style={{ fontSize: 11, color: "rgba(255,255,255,0.3)" }}>Actuals</span>
+              </div>
+            )}
+            <HorizonControl horizon={horizon} onChange={setHorizon} />
           </div>
+
+          <MonthlyTable baseRows={baseRows} projRows={projRows} fileName={`${profileId}-monthly-${horizon.months}m.csv`}
+            onDownloadWorkbook={downloadWorkbook}
+          />
+
+          <ActualsImport actuals={actuals} onLoad={setActuals}
+            onClear={() => { setActuals(null); setAnchored(false); }}
+            anchored={anchored} onAnchorChange={setAnchored}
+          />
+
+          <MRRMovementChart rows={projRows} horizon={horizon} />
         </div>
 
+        {/* ── UNIT ECONOMICS ── */}
+        <UnitEconomicsStrip base={baseEconomics} scenario={projEconomics} isModified={isModified} />
+
+        {/* ── CASH & RUNWAY ── */}
+        <CashPanel baseRows={baseRows} projRows={projRows} horizon={horizon}
+          baseRunway={runwaySummary(baseLongRows)} projRunway={runwaySummary(projLongRows)}
+          lookahead={lookahead} isModified={isModified}
+        />
+
+        {/* ── PLAN VS ACTUAL ── */}
+        <PlanPanel plan={plan} variance={variance} forecast={forecast} hasActuals={actuals !== null}
+          onLock={lockCurrentPlan} onUnlock={() => savePlan(null)}
+        />
+
+        {/* ── SCENARIO COMPARISON ── */}
+        <ComparePanel scenarios={companyScenarios} open={compareOpen} onToggle={() => setCompareOpen(!compareOpen)}
+          selected={compareSelection} onSelect={setCompareIds} compared={compared} horizon={horizon}
+        />
+
+        {/* ── SENSITIVITY ── */}
+        <SensitivityPanel assumptions={modelAssumptions} months={horizon.months}
+          open={sensitivityOpen} onToggle={() => setSensitivityOpen(!sensitivityOpen)}
+          sensitivity={sensitivity} onChange={setSensitivity} result={sensitivityResult}
+          levers={levers} onPromote={(key, direction) => saveLever(customLever(modelAssumptions, key, direction))}
+        />
+
+        {/* ── GOAL SEEK ── */}
+        <GoalSeekPanel goal={goal} onGoalChange={setGoal} months={horizon.months} levers={levers}
+          solutions={goalSolutions} onApply={applyLeverValues}
+        />
+
+        {/* ── UNCERTAINTY ── */}
+        <UncertaintyPanel assumptions={modelAssumptions} uncertainty={uncertainty}
+          onRangeChange={(key, spec) => setUncertainty(prev => ({ ...prev, [key]: spec }))}
+          enabled={uncertaintyOn} onToggle={() => setUncertaintyOn(!uncertaintyOn)}
+          goal={goal} result={simulation} months={horizon.months}
+        />
+
         {/* ── HIT ALL TARGETS + RESET ── */}
         <div style={{ display: "flex", gap: 10, marginBottom: 28, animation: "fadeIn 0.9s ease" }}>
           <button onClick={hitAllTargets}
@@ -622,7 +2634,7 @@ export default function KitaGrowthEngine() {
             Hit all targets
           </button>
           {isModified && (
-            <button onClick={() => { setChurn(null); setArpu(null); setActivation(null); }}
+            <button onClick={resetLevers}
               style={{
                 background: "none", border: "1px solid rgba(255,255,255,0.08)",
                 color: "rgba(255,255,255,0.35)", padding: "10px 16px", borderRadius: 10,
@@ -648,18 +2660,35 @@ export default function KitaGrowthEngine() {
 
         {/* ── LEVER CARDS ── */}
         <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
-          {LEVERS.map((lever) => {
-            const currentVal = lever.id === "churn" ? effectiveChurn : lever.id === "arpu" ? effectiveArpu : effectiveActivation;
-            const setter = lever.id === "churn" ? setChurn : lever.id === "arpu" ? setArpu : setActivation;
-            return (
-              <LeverCard key={lever.id} lever={lever} value={currentVal}
-                baseValue={assumptions[lever.baseKey]}
-                onChange={setter} isExpanded={expanded === lever.id}
+          {levers.map((lever) => (
+            leverForm === lever.id ? (
+              <CustomLeverForm key={lever.id} assumptions={modelAssumptions} levers={levers} initial={lever}
+                onSave={saveLever} onCancel={() => setLeverForm(null)} />
+            ) : (
+              <LeverCard key={lever.id} lever={lever} value={effectiveValues[lever.baseKey]}
+                baseValue={leverBaseValue(lever.baseKey)}
+                onChange={(value) => setLeverValue(lever.baseKey, value)} isExpanded={expanded === lever.id}
                 onToggle={() => setExpanded(expanded === lever.id ? null : lever.id)}
-                assumptions={assumptions}
+                assumptions={modelAssumptions} months={horizon.months}
+                rollout={rollout} onRolloutChange={(r) => {
+                  if (r.scope !== rollout[lever.baseKey].scope) setLeverValue(lever.baseKey, null);
+                  setRollout(prev => ({ ...prev, [lever.baseKey]: r }));
+                }}
+                onEdit={() => setLeverForm(lever.id)} onRemove={() => removeLever(lever)}
               />
-            );
-          })}
+            )
+          ))}
+          {leverForm === "new" ? (
+            <CustomLeverForm assumptions={modelAssumptions} levers={levers} onSave={saveLever} onCancel={() => setLeverForm(null)} />
+          ) : levers.length < Object.keys(ASSUMPTION_META).length && (
+            <button onClick={() => setLeverForm("new")} style={{
+              background: "none", border: "1px dashed rgba(107,142,80,0.3)", color: "rgba(107,142,80,0.8)",
+              padding: "14px 16px", borderRadius: 16, cursor: "pointer", fontSize: 13,
+              fontFamily: "'DM Sans', sans-serif", fontWeight: 600,
+            }}>
+              + Add a lever
+            </button>
+          )}
         </div>
 
         {/* ── 30-DAY PLAN ── */}
@@ -675,8 +2704,10 @@ export default function KitaGrowthEngine() {
               What I'd ship in <span style={{ color: "rgba(107,142,80,0.9)" }}>30 days.</span>
             </h2>
             <p style={{ fontSize: 14, color: "rgba(255,255,255,0.4)", lineHeight: 1.6 }}>
-              Three scoped initiatives tied to the levers above — ranked by remaining upside. {
-                effectiveChurn <= 2 && effectiveArpu >= 9 && effectiveActivation >= 60
+              {levers.length === 3 ? "Three" : levers.length} scoped initiatives tied to the levers above — ranked by remaining upside. {
+                levers.every(lever => (lever.direction === "lower-is-better"
+                  ? effectiveValues[lever.baseKey] <= lever.targetValue
+                  : effectiveValues[lever.baseKey] >= lever.targetValue))
                   ? "All targets set. Here's how I'd get there."
                   : "Drag the sliders and watch the priorities shift."
               }
@@ -684,43 +2715,13 @@ export default function KitaGrowthEngine() {
           </div>
 
           {(() => {
-            const planItems = [
-              {
-                leverId: "churn",
-                lever: "Retention",
-                title: "Build an automated early-warning system for churn",
-                what: "Design a lightweight health score that runs off existing product data — doc volume trends, login frequency, error rates. Wire it to automated email triggers so at-risk accounts get a nudge without anyone manually monitoring a dashboard. At this stage, it doubles as a learning tool: every churn signal teaches you what to fix in the product before you scale.",
-                deliverable: "Health score logic + automated email sequences (built in product or a simple tool like Customer.io)",
-                metric: "Catch at-risk accounts 14 days before they'd otherwise go silent",
-              },
-              {
-                leverId: "activation",
-                lever: "Activation",
-                title: "Cut the integration drop-off in half",
-                what: "Map the current onboarding funnel with real data, identify the exact step where the biggest drop happens, and design a self-serve integration wizard that auto-configures the API based on document types. Add a \"test mode\" with dummy data so prospects see value before writing a single line of code. The goal: get customers to Aha! without needing a founder on a call every time.",
-                deliverable: "Funnel analysis + integration wizard PRD + test mode prototype",
-                metric: "Activation rate from 35% → 50% within the first cohort",
-              },
-              {
-                leverId: "arpu",
-                lever: "Monetization",
-                title: "Run the pricing research that unlocks ARPU",
-                what: "Deploy a Van Westendorp survey to existing customers to find the actual acceptable price range. Run a MaxDiff survey to rank which features customers value most. Use both to draft a Good-Better-Best tier structure. This is a one-time research sprint that pays for itself — you only need to do it once to know if you're leaving money on the table.",
-                deliverable: "Pricing research report + proposed tier structure + migration plan for existing customers",
-                metric: "Confirm whether current pricing sits below the Point of Marginal Cheapness",
-              },
-            ];
-
-            const upsides = planItems.map(item => {
-              const target = LEVERS.find(l => l.id === item.leverId).targetValue;
-              return {
-                ...item,
-                upside: Math.abs(calcIndependentImpact(assumptions, item.leverId, target)),
-                currentImpact: calcIndependentImpact(assumptions, item.leverId,
-                  item.leverId === "churn" ? effectiveChurn : item.leverId === "arpu" ? effectiveArpu : effectiveActivation
-                ),
-              };
-            });
+            const upsides = levers.map(lever => ({
+              ...leverPlan(lever, leverBaseValue(lever.baseKey)),
+              leverId: lever.id,
+              lever,
+              upside: Math.abs(calcIndependentImpact(modelAssumptions, lever.baseKey, lever.targetValue, horizon.months, rollout)),
+              currentImpact: calcIndependentImpact(modelAssumptions, lever.baseKey, effectiveValues[lever.baseKey], horizon.months, rollout),
+            }));
 
             const remainingUpside = upsides.map(item => ({
               ...item,
@@ -743,20 +2744,20 @@ export default function KitaGrowthEngine() {
                     background: "rgba(107,142,80,0.1)", borderRadius: 6, padding: "3px 8px",
                     fontWeight: 600, letterSpacing: "0.04em",
                   }}>
-                    {weekLabels[i]}
+                    {weekLabels[i] ?? "Next up"}
                   </div>
                   <div style={{
                     fontSize: 11, color: "rgba(255,255,255,0.3)", fontFamily: "'DM Sans', sans-serif",
                     background: "rgba(255,255,255,0.05)", borderRadius: 6, padding: "3px 8px",
                   }}>
-                    {item.lever} lever
+                    {item.lever.label} lever
                   </div>
                   {allAtTarget ? (
                     <div style={{
                       fontSize: 11, color: "rgba(107,142,80,0.7)", fontFamily: "'DM Sans', sans-serif",
                       marginLeft: "auto",
                     }}>
-                      Target: {LEVERS.find(l => l.id === item.leverId).prefix || ""}{LEVERS.find(l => l.id === item.leverId).targetValue}{LEVERS.find(l => l.id === item.leverId).unit}
+                      Target: {item.lever.prefix || ""}{item.lever.targetValue}{item.lever.unit}
                     </div>
                   ) : item.remaining > 0 ? (
                     <div style={{
@@ -869,16 +2870,42 @@ export default function KitaGrowthEngine() {
           <div style={{ fontSize: 11, color: "rgba(255,255,255,0.25)", letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 12 }}>
             Methodology
           </div>
-          <div style={{ fontSize: 13, color: "rgba(255,255,255,0.35)", lineHeight: 1.7 }}>
-            Baseline assumptions are placeholders for a post-YC-launch B2B startup — they're meant to be replaced 
-            with real numbers. The model compounds retention monthly and grows leads at the specified rate. 
-            Activation is modeled as driving ~40% of new customer conversion variance, with the remainder attributed to 
-            sales effort, market timing, and other factors. 
-            Lever cards show independent effects (one lever changed, others at baseline). The MRR chart shows the combined 
-            scenario — combined effects are multiplicative, not additive.
-          </div>
+          <ul style={{ fontSize: 13, color: "rgba(255,255,255,0.35)", lineHeight: 1.7, margin: 0, paddingLeft: 18 }}>
+            <li>Baseline assumptions are placeholders for a post-YC-launch B2B startup — they're meant to be replaced with real numbers.</li>
+            <li>Customers are tracked by signup cohort over the chosen horizon, with the retention curve applied by tenure (today's
+              customers are treated as tenured). The Retention lever scales the whole curve in proportion to the monthly churn rate.</li>
+            <li>Leads grow at the specified rate and reach each funnel stage after that stage's delay, so a change in lead volume
+              shows up in MRR weeks later.</li>
+            <li>Activation moves the activation-weight share of trial-to-paid conversion ({assumptions.activationWeight}% now, editable
+              or calibrated from history), with the remainder attributed to sales effort, market timing, and other factors.</li>
+            <li>Each cohort's revenue per account compounds with the expansion and contraction rates; NRR and GRR are annualized from
+              the projection's monthly MRR movements.</li>
+            <li>Each lever phases in from its start month over its ramp, so lifts reflect the rollout rather than a day-one switch.
+              Custom levers can move any assumption; those on anything but churn, ARPU, activation and funnel conversion apply in
+              full from the start.</li>
+            <li>Lever cards show independent effects (one lever changed, others at baseline). The MRR chart shows the combined
+              scenario — combined effects are multiplicative, not additive; the bar under the headline splits the lift into each
+              lever's independent effect plus their interaction, and each lever's fair share is its Shapley value (its marginal
+              effect averaged over every order the levers could be switched on).</li>
+            <li>Uncertainty bands come from {SIMULATION_RUNS.toLocaleString()} simulated runs with every assumption drawn from its
+              range; levers keep their relative change in each run.</li>
+            <li>Blended CAC divides all acquisition spend over the horizon by the customers it won; LTV is one new account's lifetime
+              gross profit at the chosen lever values.</li>
+            <li>Net burn is opex (headcount plus other costs) and acquisition spend, less gross profit on MRR; runway and break-even
+              look up to five years ahead.</li>
+            <li>With segments, each is projected on its own and summed; a lever applied to all segments moves each by the same
+              proportion, and lead volume is split by lead share.</li>
+            <li>Sensitivity moves one assumption at a time against the baseline.</li>
+            <li>Goal seek bisects from the current sliders toward each slider's best end — one lever at a time, or all of them moved
+              the same share of the way — and rounds to the slider step.</li>
+            <li>Imported actuals are plotted as given; anchoring restarts the projection from the latest month's customers, MRR and leads.</li>
+            <li>Fitting from actuals regresses each monthly flow on what drives it — churned accounts on last month's customers, MRR on
+              customers, log leads on time, each funnel stage on the stage before it one delay earlier — and reports the R² of each.</li>
+            <li>Plan-vs-actual pools each driver over the months since the plan was locked; the re-forecast runs the plan's
+              assumptions and levers from the latest actual month.</li>
+          </ul>
           <div style={{ fontSize: 12, color: "rgba(107,142,80,0.5)", marginTop: 16, fontStyle: "italic" }}>
-            Built as a growth analysis exercise — not affiliated with Kita.
+            Built as a growth analysis exercise — not affiliated with {profile.name}.
           </div>
         </div>
       </div>
@@ -0,0 +1,90 @@
+/* Historical actuals: monthly customers, MRR, leads, funnel counts and new
+   paid customers imported from CSV, and restarting a projection from the latest month. */
+
+/* CSV columns and the header names each accepts (case, spaces, dashes and
+   underscores ignored). */
+export const ACTUALS_COLUMNS = {
+  month:     { label: "Month",     aliases: ["month", "date", "period"] },
+  customers: { label: "Customers", aliases: ["customers", "paidcustomers", "accounts"] },
+  mrr:       { label: "MRR",       aliases: ["mrr"] },
+  leads:     { label: "Leads",     aliases: ["leads"] },
+  demos:     { label: "Demos",     aliases: ["demos"] },
+  trials:    { label: "Trials",    aliases: ["trials"] },
+  newPaid:   { label: "New paid",  aliases: ["newpaid", "newcustomers", "new"] },
+};
+
+const METRIC_KEYS = ["customers", "mrr", "leads", "demos", "trials", "newPaid"];
+
+const headerKey = (name) => {
+  const clean = name.trim().replace(/^"|"$/g, "").toLowerCase().replace(/[\s_-]+/g, "");
+  return Object.keys(ACTUALS_COLUMNS).find(key => ACTUALS_COLUMNS[key].aliases.includes(clean));
+};
+
+/* Parses a CSV export with a header row: a month label (2025-01, Jan 2025, …)
+   plus any of customers, MRR (in dollars), leads, demos, trials and new paid,
+   oldest month first. Cells are separated by commas, semicolons or tabs,
+   whichever the header uses most. Blank cells are allowed; "$" and thousands
+   separators inside quotes are stripped. Returns { rows } or { errors }. */
+export function parseActuals(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+  if (lines.length < 2) return { errors: ["The CSV needs a header row and at least one month."] };
+  const count = (sep) => lines[0].split(sep).length;
+  const sep = [",", ";", "\t"].reduce((best, next) => (count(next) > count(best) ? next : best));
+  const cellPattern = new RegExp(`("([^"]|"")*"|[^${sep}]*)(${sep}|$)`, "g");
+  const split = (line) => (line.match(cellPattern) ?? [])
+    .slice(0, -1)
+    .map(cell => (cell.endsWith(sep) ? cell.slice(0, -1) : cell).trim().replace(/^"|"$/g, "").replace(/""/g, '"'));
+  const header = split(lines[0]).map(headerKey);
+  if (!header.includes("month")) return { errors: ["The header needs a month column."] };
+  if (!METRIC_KEYS.some(key => header.includes(key))) {
+    return { errors: [`The header needs at least one of ${METRIC_KEYS.map(key => ACTUALS_COLUMNS[key].label.toLowerCase()).join(", ")}.`] };
+  }
+
+  const errors = [];
+  const rows = lines.slice(1).map((line, i) => {
+    const cells = split(line);
+    const row = { month: "" };
+    METRIC_KEYS.forEach(key => { row[key] = null; });
+    header.forEach((key, col) => {
+      if (!key) return;
+      const cell = cells[col] ?? "";
+      if (key === "month") { row.month = cell; return; }
+      if (cell === "") return;
+      const value = Number(cell.replace(/[$,\s]/g, ""));
+      if (!Number.isFinite(value) || value < 0) errors.push(`Line ${i + 2}: ${ACTUALS_COLUMNS[key].label} must be a number of zero or more.`);
+      else row[key] = value;
+    });
+    if (!row.month) errors.push(`Line ${i + 2}: the month is missing.`);
+    return row;
+  });
+  const months = rows.map(r => r.month);
+  months.forEach((month, i) => { if (month && months.indexOf(month) !== i) errors.push(`${month} appears twice.`); });
+  return errors.length ? { errors } : { rows };
+}
+
+/* The assumptions restarted from the latest actual month: its customers, its
+   MRR (as ARPU) and its leads become the starting point, each taken from the
+   latest month that has it. With segments, each segment's customers and ARPU
+   are scaled so the totals match. */
+export function anchorToActuals(assumptions, rows) {
+  const latest = (key) => [...rows].reverse().find(r => r[key] != null)?.[key];
+  const customers = latest("customers");
+  const mrr = latest("mrr");
+  const leads = latest("leads");
+  const next = { ...assumptions };
+  if (leads != null) next.leadsPerMonth = leads;
+
+  const segments = assumptions.segments ?? [];
+  if (segments.length === 0) {
+    if (customers != null) next.customers = customers;
+    if (mrr != null && next.customers > 0) next.arpu = mrr / next.customers / 1000;
+    return next;
+  }
+  const total = segments.reduce((sum, seg) => sum + seg.customers, 0);
+  const customerScale = customers != null && total > 0 ? customers / total : 1;
+  let scaled = segments.map(seg => ({ ...seg, customers: seg.customers * customerScale }));
+  const implied = scaled.reduce((sum, seg) => sum + seg.customers * seg.arpu * 1000, 0);
+  if (mrr != null && implied > 0) scaled = scaled.map(seg => ({ ...seg, arpu: seg.arpu * (mrr / implied) }));
+  next.segments = scaled;
+  return next;
+}
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseActuals, anchorToActuals } from "./actuals.js";
+import { DEFAULT_ASSUMPTIONS } from "./profiles.js";
+
+test("parseActuals reads quoted dollar amounts with thousands separators", () => {
+  const { rows } = parseActuals('Month,MRR,Paid customers\n2025-01,"$120,000",20\n2025-02,"$1,250,500.50",21\n');
+  assert.deepEqual(rows.map(r => [r.month, r.mrr, r.customers]), [["2025-01", 120000, 20], ["2025-02", 1250500.5, 21]]);
+  assert.equal(rows[0].leads, null);
+});
+
+test("parseActuals accepts semicolon- and tab-separated files", () => {
+  const semicolon = parseActuals('Month;MRR;New-paid\n2025-01;"$120,000";3\n2025-02;130000;4\n');
+  assert.deepEqual(semicolon.rows.map(r => [r.mrr, r.newPaid]), [[120000, 3], [130000, 4]]);
+  const tab = parseActuals("month\tleads\n2025-01\t50\n");
+  assert.equal(tab.rows[0].leads, 50);
+});
+
+test("parseActuals keeps blank cells empty and rejects missing months", () => {
+  const blank = parseActuals("Month,Customers,MRR\n2025-01,,5000\n2025-02,12,\n");
+  assert.deepEqual(blank.rows.map(r => [r.customers, r.mrr]), [[null, 5000], [12, null]]);
+  assert.deepEqual(parseActuals("Month,Customers\n2025-01,10\n,11\n").errors, ["Line 3: the month is missing."]);
+  assert.deepEqual(parseActuals("Month,Customers\n2025-01,10\n2025-01,11\n").errors, ["2025-01 appears twice."]);
+});
+
+test("parseActuals rejects files without a usable header or values", () => {
+  assert.equal(parseActuals("Month,Customers\n").errors.length, 1);
+  assert.deepEqual(parseActuals("Customers\n10\n").errors, ["The header needs a month column."]);
+  assert.match(parseActuals("Month,Notes\n2025-01,hi\n").errors[0], /at least one of customers/);
+  assert.deepEqual(parseActuals("Month,Leads\n2025-01,-3\n").errors, ["Line 2: Leads must be a number of zero or more."]);
+});
+
+test("anchorToActuals restarts from the latest month that has each value", () => {
+  const rows = [
+    { month: "2025-01", customers: 30, mrr: 240000, leads: 70 },
+    { month: "2025-02", customers: 32, mrr: null, leads: null },
+  ];
+  const anchored = anchorToActuals(DEFAULT_ASSUMPTIONS, rows);
+  assert.equal(anchored.customers, 32);
+  assert.equal(anchored.arpu, 240000 / 32 / 1000);
+  assert.equal(anchored.leadsPerMonth, 70);
+});
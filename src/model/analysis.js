@@ -0,0 +1,154 @@
+/* Questions asked of the projection: goal seek, lift attribution,
+   sensitivity and activation-weight calibration. */
+
+import { ASSUMPTION_META, SEGMENT_KEYS, assumptionMeta } from "./assumptions.js";
+import { calculateMRR } from "./engine.js";
+import { clampAssumption } from "./montecarlo.js";
+
+const GOAL_SEEK_ITERATIONS = 30;
+
+/* The slider end that helps MRR most. */
+function bestEnd(lever) {
+  return lever.direction === "lower-is-better" ? lever.min : lever.max;
+}
+
+/* Snap to the lever's step, rounding toward its best end so a snapped answer
+   never falls short of the goal. */
+function snapTowardBest(lever, value) {
+  const decimals = (String(lever.step).split(".")[1] || "").length;
+  const steps = value / lever.step;
+  const snapped = (lever.direction === "lower-is-better" ? Math.floor(steps + 1e-9) : Math.ceil(steps - 1e-9)) * lever.step;
+  return Number(Math.min(lever.max, Math.max(lever.min, snapped)).toFixed(decimals));
+}
+
+/* Bisect t ∈ [0, 1] for the smallest move that reaches the goal, where
+   overridesAt(t) walks from the current levers (t = 0) to their best ends
+   (t = 1). MRR rises monotonically along that path, so bisection is enough. */
+function seekFraction(assumptions, overridesAt, goal, months, rollout) {
+  const mrrAt = (t) => calculateMRR(assumptions, overridesAt(t), months, rollout);
+  if (mrrAt(0) >= goal) return { status: "met", t: 0 };
+  if (mrrAt(1) < goal) return { status: "infeasible", t: 1 };
+  let lo = 0, hi = 1;
+  for (let i = 0; i < GOAL_SEEK_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (mrrAt(mid) >= goal) hi = mid; else lo = mid;
+  }
+  return { status: "solved", t: hi };
+}
+
+/* Walks the given levers from their current values toward their best ends and
+   returns { status, values, mrr }: "met" when the goal is already reached,
+   "solved" with the snapped values that reach it, or "infeasible" with the
+   slider ends and the best MRR they manage. */
+export function seekGoal(assumptions, overrides, levers, goal, months, rollout) {
+  const overridesAt = (t) => ({
+    ...overrides,
+    ...Object.fromEntries(levers.map(l => [l.baseKey, overrides[l.baseKey] + (bestEnd(l) - overrides[l.baseKey]) * t])),
+  });
+  const { status, t } = seekFraction(assumptions, overridesAt, goal, months, rollout);
+  const raw = overridesAt(t);
+  const values = Object.fromEntries(levers.map(l => [
+    l.baseKey, status === "solved" ? snapTowardBest(l, raw[l.baseKey]) : raw[l.baseKey],
+  ]));
+  return { status, values, mrr: calculateMRR(assumptions, { ...overrides, ...values }, months, rollout) };
+}
+
+/* Splits the combined Month-N MRR lift (in dollars) across the levers in
+   `overrides` with Shapley values: each lever's marginal effect averaged over
+   every order the levers could be switched on. Each share is reported as the
+   lever's standalone effect (what its card shows) plus its slice of the
+   interaction; `interaction` is the sum of those slices, so standalone effects
+   plus interaction add up to `total`. */
+export function attributeLift(assumptions, overrides, months, rollout) {
+  const keys = Object.keys(overrides);
+  const n = keys.length;
+  const baseMRR = calculateMRR(assumptions, {}, months);
+  const worth = [];
+  for (let mask = 0; mask < 1 << n; mask++) {
+    const subset = Object.fromEntries(keys.filter((_, i) => mask & (1 << i)).map(key => [key, overrides[key]]));
+    worth[mask] = mask === 0 ? 0 : calculateMRR(assumptions, subset, months, rollout) - baseMRR;
+  }
+  const factorial = (k) => (k <= 1 ? 1 : k * factorial(k - 1));
+  const size = (mask) => keys.filter((_, i) => mask & (1 << i)).length;
+
+  const parts = keys.map((key, i) => {
+    let shapley = 0;
+    for (let mask = 0; mask < 1 << n; mask++) {
+      if (mask & (1 << i)) continue;
+      const s = size(mask);
+      shapley += (factorial(s) * factorial(n - s - 1) / factorial(n)) * (worth[mask | (1 << i)] - worth[mask]);
+    }
+    return { key, standalone: worth[1 << i], shapley };
+  });
+  const total = worth[(1 << n) - 1];
+  return { total, parts, interaction: total - parts.reduce((sum, p) => sum + p.standalone, 0) };
+}
+
+export const DEFAULT_SENSITIVITY = { mode: "percent", spread: 10 };
+
+/* Sets one assumption, moving each segment's own value by the same proportion. */
+export function withAssumption(assumptions, key, value) {
+  const next = { ...assumptions, [key]: value };
+  if (SEGMENT_KEYS.includes(key) && assumptions.segments?.length) {
+    next.segments = assumptions.segments.map(seg => ({
+      ...seg, [key]: assumptions[key] ? seg[key] * (value / assumptions[key]) : value,
+    }));
+  }
+  return next;
+}
+
+/* Baseline Month-N MRR with each assumption pushed down and up on its own —
+   by ±spread% or across the input's whole min/max — sorted by the swing
+   between the two. */
+export function sensitivityAnalysis(assumptions, months, { mode, spread }) {
+  return Object.keys(ASSUMPTION_META).map(key => {
+    const meta = assumptionMeta(assumptions, key);
+    const value = assumptions[key];
+    const low = mode === "range" ? meta.min : clampAssumption(key, value * (1 - spread / 100));
+    const high = mode === "range" ? meta.max : clampAssumption(key, value * (1 + spread / 100));
+    const lowMRR = calculateMRR(withAssumption(assumptions, key, low), {}, months);
+    const highMRR = calculateMRR(withAssumption(assumptions, key, high), {}, months);
+    return { key, low, high, lowMRR, highMRR, swing: Math.abs(highMRR - lowMRR) };
+  }).sort((a, b) => b.swing - a.swing);
+}
+
+/* Splits pasted text (commas, tabs, spaces or newlines) into numbers, dropping
+   anything that doesn't parse. */
+export function parseNumberList(text) {
+  return text.split(/[\s,;]+/).map(t => parseFloat(t.replace("%", ""))).filter(n => Number.isFinite(n));
+}
+
+/* Parses pasted history, one month per line: activation %, new paid
+   customers and, optionally, leads. Returns { rows } or { error }. */
+export function parseActivationHistory(text) {
+  const lines = text.split("\n").map(line => parseNumberList(line)).filter(values => values.length > 0);
+  if (lines.length < 3) return { error: "Paste at least three months of history." };
+  const width = lines[0].length;
+  if (width < 2 || width > 3 || lines.some(values => values.length !== width)) {
+    return { error: "Each line needs activation %, new paid and (optionally) leads — the same columns on every line." };
+  }
+  if (lines.some(([activation]) => activation <= 0 || activation > 100)) return { error: "Activation must be between 0 and 100%." };
+  if (width === 3 && lines.some(values => values[2] <= 0)) return { error: "Leads must be above zero." };
+  return { rows: lines.map(([activation, newPaid, leads]) => ({ activation, newPaid, leads })) };
+}
+
+/* Estimates the activation weight from history. The model has new paid (per
+   lead, when leads are given) = K × (1 − w + w × activation / reference), so
+   a straight-line fit of that against activation gives w = slope × reference ÷
+   the fitted value at the reference rate. Returns the weight in %, the fit's
+   R² and the number of months, or an error when the data can't support it. */
+export function calibrateActivationWeight(rows, reference) {
+  const points = rows.map(r => ({ x: r.activation, y: r.leads ? r.newPaid / r.leads : r.newPaid }));
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  if (sxx === 0) return { error: "Activation needs to vary across the months pasted." };
+  const slope = sxy / sxx;
+  const atReference = meanY + slope * (reference - meanX);
+  if (atReference <= 0) return { error: "The fit predicts no new customers at today's activation rate." };
+  const weight = Math.min(100, Math.max(0, (slope * reference / atReference) * 100));
+  return { weight: Math.round(weight), r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 0, months: n };
+}
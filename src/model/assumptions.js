@@ -0,0 +1,73 @@
+/* Assumption inputs: their metadata and the model-wide constants built on
+   them. Everything here is plain data with no framework dependencies. */
+
+export const ASSUMPTION_META = {
+  customers:       { label: "Current customers",  unit: "",  prefix: "",  step: 1,   min: 1,   max: 200, group: "business" },
+  arpu:            { label: "ARPU",               unit: "K", prefix: "$", step: 0.5, min: 1,   max: 30,  group: "business" },
+  churnRate:       { label: "Monthly churn",      unit: "%", prefix: "",  step: 0.5, min: 0.5, max: 15,  group: "business" },
+  earlyChurnRate:  { label: "Early-life churn",   unit: "%", prefix: "",  step: 0.5, min: 0.5, max: 40,  group: "retention" },
+  earlyLifeMonths: { label: "Early-life period",  unit: "mo", prefix: "", step: 1,   min: 1,   max: 12,  group: "retention" },
+  activationRate:  { label: "Activation rate",    unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "business" },
+  activationWeight: { label: "Activation weight", unit: "%", prefix: "",  step: 5,   min: 0,   max: 100, group: "activation" },
+  expansionRate:   { label: "Expansion / mo",     unit: "%", prefix: "",  step: 0.5, min: 0,   max: 10,  group: "business" },
+  contractionRate: { label: "Contraction / mo",   unit: "%", prefix: "",  step: 0.5, min: 0,   max: 10,  group: "business" },
+  leadsPerMonth:   { label: "Leads / month",      unit: "",  prefix: "",  step: 5,   min: 10,  max: 500, group: "funnel" },
+  demoRate:        { label: "Lead → Demo",        unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "funnel" },
+  trialRate:       { label: "Demo → Trial",       unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "funnel" },
+  paidRate:        { label: "Trial → Paid",       unit: "%", prefix: "",  step: 5,   min: 10,  max: 90,  group: "funnel" },
+  leadGrowthRate:  { label: "Lead growth / mo",   unit: "%", prefix: "",  step: 1,   min: 0,   max: 30,  group: "funnel" },
+  demoLag:         { label: "Lead → Demo delay",  unit: "d", prefix: "",  step: 1,   min: 0,   max: 120, group: "lag" },
+  trialLag:        { label: "Demo → Trial delay", unit: "d", prefix: "",  step: 1,   min: 0,   max: 120, group: "lag" },
+  paidLag:         { label: "Trial → Paid delay", unit: "d", prefix: "",  step: 1,   min: 0,   max: 120, group: "lag" },
+  costPerLead:      { label: "Cost per lead",      unit: "", prefix: "$", step: 50,  min: 0, max: 5000,  group: "costs" },
+  salesCostPerDemo: { label: "Sales cost / demo",  unit: "", prefix: "$", step: 100, min: 0, max: 20000, group: "costs" },
+  onboardingCost:   { label: "Onboarding / cust.", unit: "", prefix: "$", step: 500, min: 0, max: 50000, group: "costs" },
+  headcount:        { label: "Headcount",          unit: "",  prefix: "",  step: 1,   min: 0,  max: 500,    group: "operating" },
+  costPerHead:      { label: "Cost / head / mo",   unit: "K", prefix: "$", step: 0.5, min: 0,  max: 50,     group: "operating" },
+  hiresPerMonth:    { label: "Hires / month",      unit: "",  prefix: "",  step: 0.5, min: 0,  max: 20,     group: "operating" },
+  otherOpex:        { label: "Other opex / mo",    unit: "K", prefix: "$", step: 5,   min: 0,  max: 1000,   group: "operating" },
+  grossMargin:      { label: "Gross margin",       unit: "%", prefix: "",  step: 1,   min: 1,  max: 100,    group: "operating" },
+  startingCash:     { label: "Cash on hand",       unit: "K", prefix: "$", step: 100, min: 0,  max: 100000, group: "operating" },
+};
+
+/* Runway and break-even are searched over this many months, whatever the
+   chart horizon, so a 12-month view can still say "cash lasts 27 months". */
+export const RUNWAY_LOOKAHEAD = 60;
+
+/* Funnel stages in order: the conversion rate applied on entering the stage
+   and the delay (in `lagUnit`) since the previous one. */
+export const FUNNEL_STAGES = [
+  { rateKey: "demoRate",  lagKey: "demoLag" },
+  { rateKey: "trialRate", lagKey: "trialLag" },
+  { rateKey: "paidRate",  lagKey: "paidLag" },
+];
+
+export const DAYS_PER_MONTH = 30.4;
+
+/* Monthly churn by tenure. "churnRate" is always the steady-state rate for
+   tenured accounts; the curve only changes what happens before that. */
+export const RETENTION_CURVES = {
+  flat:         { label: "Flat",           hint: "Every account churns at the monthly rate, regardless of tenure." },
+  "early-life": { label: "Early-life",     hint: "New cohorts churn at the early-life rate for their first months, then settle to the monthly rate." },
+  table:        { label: "Survival table", hint: "Paste cohort survival % at the end of months 1, 2, 3… (month 0 is 100%). Past the table, the monthly rate applies." },
+};
+
+/* Per-segment values; everything else (lead volume and growth, delays,
+   retention curve shape, costs) is shared across segments. */
+export const SEGMENT_KEYS = ["customers", "arpu", "churnRate", "activationRate", "demoRate", "trialRate", "paidRate"];
+
+/* Assumptions the projection phases in month by month with their lever's
+   rollout. A lever on any other assumption applies from the start. */
+export const PHASED_KEYS = ["churnRate", "arpu", "activationRate", "demoRate", "trialRate", "paidRate"];
+
+/* Input metadata as currently shown: stage delays switch to months (and a
+   month-sized range) when the lag unit does. */
+export function assumptionMeta(assumptions, key) {
+  const meta = ASSUMPTION_META[key];
+  if (meta.group !== "lag" || assumptions.lagUnit !== "months") return meta;
+  return { ...meta, unit: "mo", step: 0.25, max: meta.max / DAYS_PER_MONTH };
+}
+
+export function lagInMonths(assumptions, lagKey) {
+  return assumptions.lagUnit === "months" ? assumptions[lagKey] : assumptions[lagKey] / DAYS_PER_MONTH;
+}
@@ -0,0 +1,52 @@
+/* Scenarios side by side: each one's projection and headline metrics over a
+   shared horizon, and the difference between any two. */
+
+import { RUNWAY_LOOKAHEAD } from "./assumptions.js";
+import { simulateMonths, unitEconomics, revenueRetention, runwaySummary } from "./engine.js";
+
+export const MAX_COMPARED = 4;
+
+/* Headline metrics, in table order, and which way is good. */
+export const COMPARISON_METRICS = {
+  mrr:            { label: "MRR",              higherIsBetter: true },
+  lift:           { label: "Lift vs baseline", higherIsBetter: true },
+  customers:      { label: "Customers",        higherIsBetter: true },
+  nrr:            { label: "NRR",              higherIsBetter: true },
+  ltvToCac:       { label: "LTV:CAC",          higherIsBetter: true },
+  paybackMonths:  { label: "CAC payback",      higherIsBetter: false },
+  breakEvenMonth: { label: "Break-even month", higherIsBetter: false },
+};
+
+/* One scenario run to `months`: its monthly rows and the headline metrics
+   at the last month. Lift is against the scenario's own baseline; break-even
+   looks as far ahead as the cash panel does (null if it never comes). */
+export function scenarioMetrics({ assumptions, values, rollout, months }) {
+  const longRows = simulateMonths(assumptions, values, Math.max(months, RUNWAY_LOOKAHEAD), rollout);
+  const rows = longRows.slice(0, months + 1);
+  const baseMRR = simulateMonths(assumptions, {}, months)[months].mrr;
+  const end = rows[months];
+  const economics = unitEconomics(assumptions, values, rows, rollout);
+  return {
+    rows,
+    metrics: {
+      mrr: end.mrr,
+      lift: baseMRR > 0 ? ((end.mrr - baseMRR) / baseMRR) * 100 : null,
+      customers: end.customers,
+      nrr: revenueRetention(rows).nrr,
+      ltvToCac: economics.ltvToCac,
+      paybackMonths: economics.paybackMonths,
+      breakEvenMonth: runwaySummary(longRows).breakEvenMonth,
+    },
+  };
+}
+
+/* B minus A for each metric, absolute and as % of A. Either is null when a
+   side is missing or unbounded. */
+export function metricDeltas(a, b) {
+  return Object.fromEntries(Object.keys(COMPARISON_METRICS).map(key => {
+    const from = a[key];
+    const to = b[key];
+    if (!Number.isFinite(from) || !Number.isFinite(to)) return [key, { diff: null, pct: null }];
+    return [key, { diff: to - from, pct: from !== 0 ? ((to - from) / Math.abs(from)) * 100 : null }];
+  }));
+}
@@ -0,0 +1,290 @@
+/* The projection itself: cohorts, funnel, segments and cash, month by month,
+   plus the summary metrics read off a projection. */
+
+import { FUNNEL_STAGES, SEGMENT_KEYS, PHASED_KEYS, lagInMonths } from "./assumptions.js";
+
+/* Churn % in a cohort's `age`-th month since signup. The starting customer base
+   has no signup month on record, so it is passed age = Infinity (tenured). */
+export function churnHazard(assumptions, age) {
+  if (assumptions.retentionCurve === "early-life" && age <= assumptions.earlyLifeMonths) {
+    return assumptions.earlyChurnRate;
+  }
+  if (assumptions.retentionCurve === "table" && age <= assumptions.survivalTable.length) {
+    const table = assumptions.survivalTable;
+    const prev = age === 1 ? 100 : table[age - 2];
+    return prev > 0 ? (1 - table[age - 1] / prev) * 100 : 0;
+  }
+  return assumptions.churnRate;
+}
+
+/* Share of a cohort still active after `age` months. `churnScale` is the
+   Retention lever's multiplier on the whole curve. */
+export function cohortSurvival(assumptions, age, churnScale = 1) {
+  let alive = 1;
+  for (let t = 1; t <= age; t++) alive *= 1 - Math.min(1, (churnHazard(assumptions, t) * churnScale) / 100);
+  return alive;
+}
+
+/* How far a lever has landed by month `m`: nothing before its start month,
+   then a linear ramp to the full change. Levers without a rollout land in
+   month 1. */
+function rolloutProgress(rollout, m) {
+  const { start, ramp } = rollout ?? { start: 1, ramp: 0 };
+  if (m < start) return 0;
+  return ramp > 0 ? Math.min(1, (m - start + 1) / ramp) : 1;
+}
+
+/* Value of assumption `key` in month `m`, phased between baseline and the
+   lever's override. */
+function valueAt(assumptions, overrides, rollout, key, m) {
+  const target = overrides[key];
+  if (target == null) return assumptions[key];
+  return assumptions[key] + (target - assumptions[key]) * rolloutProgress(rollout[key], m);
+}
+
+/* Value of a monthly series `lag` months back. A fractional lag splits the
+   flow between the two months it straddles. */
+function lagged(series, m, lag) {
+  const whole = Math.floor(lag), frac = lag - whole;
+  return (series(m - whole) ?? 0) * (1 - frac) + (series(m - whole - 1) ?? 0) * frac;
+}
+
+/* Volume that has entered a stage but not yet reached the next one. */
+function inFlight(series, m, lag) {
+  const whole = Math.floor(lag), frac = lag - whole;
+  let waiting = (series(m - whole) ?? 0) * frac;
+  for (let d = 0; d < whole; d++) waiting += series(m - d) ?? 0;
+  return waiting;
+}
+
+function withFixedOverrides(assumptions, overrides) {
+  const fixed = Object.entries(overrides).filter(([key, value]) => value != null && !PHASED_KEYS.includes(key));
+  return fixed.length ? { ...assumptions, ...Object.fromEntries(fixed) } : assumptions;
+}
+
+/* One segment's month-by-month revenue projection. `overrides` holds lever
+   values keyed by the assumption they replace and `rollout` their timing; row 0
+   is the starting point. Leads move through the funnel with each stage's
+   delay, so a month's new customers come from leads generated weeks earlier;
+   lead history before month 0 follows the same growth curve to keep the
+   pipeline full at the start. Each cohort carries its own revenue per account,
+   which grows with expansion and shrinks with contraction every month it
+   survives. An ARPU change reaches new cohorts only, or also migrates existing
+   accounts when its rollout mode is "migrate" (the repricing shows up as
+   expansion or contraction). MRR movements and acquisition spend are in
+   dollars; spend is booked when a lead arrives, a demo happens and a customer
+   onboards. Activation moves the activation-weight share of trial → paid
+   conversion in proportion; the rest of it doesn't depend on activation. */
+function simulateSegment(baseAssumptions, overrides, months, rollout) {
+  const assumptions = withFixedOverrides(baseAssumptions, overrides);
+  const at = (key, m) => valueAt(assumptions, overrides, rollout, key, m);
+  const migrates = (rollout.arpu?.mode ?? "migrate") === "migrate";
+  const w = assumptions.activationWeight / 100;
+  const netExpansion = 1 + (assumptions.expansionRate - assumptions.contractionRate) / 100;
+
+  const lags = FUNNEL_STAGES.map(stage => lagInMonths(assumptions, stage.lagKey));
+  const history = lags.reduce((n, lag) => n + Math.ceil(lag) + 1, 0);
+  const funnel = [[]];
+  for (let m = -history; m <= months; m++) {
+    funnel[0][m + history] = assumptions.leadsPerMonth * Math.pow(1 + assumptions.leadGrowthRate / 100, m);
+  }
+  FUNNEL_STAGES.forEach((stage, i) => {
+    const prev = (m) => funnel[i][m + history];
+    funnel[i + 1] = [];
+    for (let m = -history; m <= months; m++) {
+      let entered = lagged(prev, m, lags[i]) * (at(stage.rateKey, m) / 100);
+      if (stage.rateKey === "paidRate") entered *= (at("activationRate", m) / assumptions.activationRate) * w + (1 - w);
+      funnel[i + 1][m + history] = entered;
+    }
+  });
+  const stageAt = (i) => (m) => funnel[i][m + history];
+  const pipelineAt = (m) => ({
+    awaitingDemo: inFlight(stageAt(0), m, lags[0]),
+    awaitingTrial: inFlight(stageAt(1), m, lags[1]),
+    awaitingDecision: inFlight(stageAt(2), m, lags[2]),
+  });
+
+  const startArpu = at("arpu", 0);
+  const cohorts = [{ signup: -Infinity, customers: assumptions.customers, arpu: startArpu }];
+  let customers = assumptions.customers;
+  const rows = [{
+    month: 0, leads: stageAt(0)(0), demos: stageAt(1)(0), trials: stageAt(2)(0), ...pipelineAt(0),
+    newCustomers: 0, churnedCustomers: 0, customers,
+    mrr: Math.round(customers * startArpu * 1000), newMRR: 0, expansionMRR: 0, contractionMRR: 0, churnedMRR: 0,
+    acquisitionSpend: 0,
+  }];
+  for (let m = 1; m <= months; m++) {
+    const churnScale = assumptions.churnRate > 0 ? at("churnRate", m) / assumptions.churnRate : 1;
+    const arpu = at("arpu", m);
+    const repricing = migrates && at("arpu", m - 1) > 0 ? arpu / at("arpu", m - 1) : 1;
+    const newCustomers = stageAt(3)(m);
+
+    let churnedCustomers = 0, churnedMRR = 0, expansionMRR = 0, contractionMRR = 0, revenue = 0;
+    for (const cohort of cohorts) {
+      const lost = cohort.customers * Math.min(1, (churnHazard(assumptions, m - cohort.signup) * churnScale) / 100);
+      cohort.customers -= lost;
+      churnedCustomers += lost;
+      churnedMRR += lost * cohort.arpu * 1000;
+      expansionMRR += (cohort.customers * cohort.arpu * 1000 * assumptions.expansionRate) / 100;
+      contractionMRR += (cohort.customers * cohort.arpu * 1000 * assumptions.contractionRate) / 100;
+      cohort.arpu *= netExpansion;
+      const repriced = cohort.customers * cohort.arpu * 1000 * (repricing - 1);
+      if (repriced > 0) expansionMRR += repriced;
+      else contractionMRR -= repriced;
+      cohort.arpu *= repricing;
+      revenue += cohort.customers * cohort.arpu;
+    }
+    cohorts.push({ signup: m, customers: newCustomers, arpu });
+    revenue += newCustomers * arpu;
+    customers = customers - churnedCustomers + newCustomers;
+    rows.push({
+      month: m, leads: stageAt(0)(m), demos: stageAt(1)(m), trials: stageAt(2)(m), ...pipelineAt(m),
+      newCustomers, churnedCustomers, customers,
+      mrr: Math.round(revenue * 1000), newMRR: newCustomers * arpu * 1000, expansionMRR, contractionMRR, churnedMRR,
+      acquisitionSpend: stageAt(0)(m) * assumptions.costPerLead
+        + stageAt(1)(m) * assumptions.salesCostPerDemo
+        + newCustomers * assumptions.onboardingCost,
+    });
+  }
+  return rows;
+}
+
+/* Company-wide volumes each segment gets its lead share of. */
+const SPLIT_KEYS = ["leadsPerMonth"];
+
+/* Splits the business into its segments, each a full assumption set with the
+   segment's own values and its share of leads. Levers rolled out to "all"
+   segments move every segment by the same proportion as the top-level value;
+   a lever rolled out to one segment sets that segment's value directly. A
+   lever on lead volume is split by lead share like the baseline.
+   Without segments the business is a single, unnamed segment. */
+export function segmentScenarios(assumptions, overrides, rollout = {}) {
+  const segments = assumptions.segments ?? [];
+  if (segments.length === 0) return [{ segment: null, assumptions, overrides }];
+  const totalShare = segments.reduce((sum, seg) => sum + seg.leadShare, 0) || 1;
+  return segments.map(segment => {
+    const share = segment.leadShare / totalShare;
+    const segAssumptions = { ...assumptions };
+    SPLIT_KEYS.forEach(key => { segAssumptions[key] = assumptions[key] * share; });
+    SEGMENT_KEYS.forEach(key => { segAssumptions[key] = segment[key]; });
+    const segOverrides = {};
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (value == null) return;
+      const scope = segments.some(seg => seg.id === rollout[key]?.scope) ? rollout[key].scope : "all";
+      if (SPLIT_KEYS.includes(key)) segOverrides[key] = value * share;
+      else if (!SEGMENT_KEYS.includes(key)) segOverrides[key] = value;
+      else if (scope === segment.id) segOverrides[key] = value;
+      else if (scope === "all") segOverrides[key] = assumptions[key] ? value * (segment[key] / assumptions[key]) : value;
+    });
+    return { segment, assumptions: segAssumptions, overrides: segOverrides };
+  });
+}
+
+/* Whole-business month-by-month projection: segments are simulated separately
+   and summed (with a per-segment breakdown on each row), then company-level
+   opex and cash are layered on. Net burn is opex plus acquisition spend minus
+   gross profit, and drains cash. */
+export function simulateMonths(assumptions, overrides, months, rollout = {}) {
+  const parts = segmentScenarios(assumptions, overrides, rollout).map(part => ({
+    id: part.segment ? part.segment.id : null,
+    rows: simulateSegment(part.assumptions, part.overrides, months, rollout),
+  }));
+
+  const company = withFixedOverrides(assumptions, overrides);
+  let cash = company.startingCash * 1000;
+  return parts[0].rows.map((first, m) => {
+    const row = { month: m };
+    Object.keys(first).forEach(field => {
+      if (field !== "month") row[field] = parts.reduce((sum, part) => sum + part.rows[m][field], 0);
+    });
+    if (parts[0].id !== null) {
+      row.bySegment = Object.fromEntries(parts.map(part => [part.id, part.rows[m]]));
+    }
+    row.opex = m === 0 ? 0
+      : ((company.headcount + company.hiresPerMonth * m) * company.costPerHead + company.otherOpex) * 1000;
+    row.grossProfit = m === 0 ? 0 : row.mrr * (company.grossMargin / 100);
+    row.netBurn = row.opex + row.acquisitionSpend - row.grossProfit;
+    cash -= row.netBurn;
+    row.cash = cash;
+    return row;
+  });
+}
+
+export function calculateMRR(assumptions, overrides, month, rollout) {
+  return simulateMonths(assumptions, overrides, month, rollout)[month].mrr;
+}
+
+/* Lifetime gross profit of one new account once the levers have fully landed:
+   survival by tenure times compounding net expansion, out to 10 years. */
+export function lifetimeValue(baseAssumptions, overrides) {
+  const assumptions = withFixedOverrides(baseAssumptions, overrides);
+  const churn = overrides.churnRate ?? assumptions.churnRate;
+  const churnScale = assumptions.churnRate > 0 ? churn / assumptions.churnRate : 1;
+  const netExpansion = 1 + (assumptions.expansionRate - assumptions.contractionRate) / 100;
+  let alive = 1, revenue = (overrides.arpu ?? assumptions.arpu) * 1000, ltv = 0;
+  for (let age = 0; age < 120; age++) {
+    if (age > 0) {
+      alive *= 1 - Math.min(1, (churnHazard(assumptions, age) * churnScale) / 100);
+      revenue *= netExpansion;
+    }
+    ltv += alive * revenue;
+  }
+  return ltv * (assumptions.grossMargin / 100);
+}
+
+/* Blended CAC (all acquisition spend over the horizon ÷ new customers won),
+   months of gross-margin ARPU to pay it back, and LTV:CAC. With segments, LTV
+   and ARPU are weighted by the customers each segment wins. */
+export function unitEconomics(assumptions, overrides, rows, rollout) {
+  const spend = rows.reduce((sum, r) => sum + r.acquisitionSpend, 0);
+  const won = rows.reduce((sum, r) => sum + r.newCustomers, 0);
+  const cac = won > 0 ? spend / won : 0;
+  const parts = segmentScenarios(assumptions, overrides, rollout);
+  const weights = parts.map(part => {
+    if (!part.segment || won === 0) return 1 / parts.length;
+    return rows.reduce((sum, r) => sum + r.bySegment[part.segment.id].newCustomers, 0) / won;
+  });
+  const margin = withFixedOverrides(assumptions, overrides).grossMargin / 100;
+  const arpu = parts.reduce((sum, part, i) => sum + weights[i] * (part.overrides.arpu ?? part.assumptions.arpu) * 1000 * margin, 0);
+  const ltv = parts.reduce((sum, part, i) => sum + weights[i] * lifetimeValue(part.assumptions, part.overrides), 0);
+  return {
+    cac,
+    paybackMonths: arpu > 0 ? cac / arpu : Infinity,
+    ltvToCac: cac > 0 ? ltv / cac : Infinity,
+  };
+}
+
+/* First month cash goes negative and first month net burn reaches zero, or
+   null when it doesn't happen within the rows given. */
+export function runwaySummary(rows) {
+  const outOfCash = rows.find(r => r.month > 0 && r.cash < 0);
+  const breakEven = rows.find(r => r.month > 0 && r.netBurn <= 0);
+  return { outOfCashMonth: outOfCash ? outOfCash.month : null, breakEvenMonth: breakEven ? breakEven.month : null };
+}
+
+/* Net and gross revenue retention over the last (up to) 12 months of a
+   projection, annualized. New-customer MRR is excluded from both. */
+export function revenueRetention(rows) {
+  const window = rows.slice(-Math.min(12, rows.length - 1) - 1);
+  let nrr = 1, grr = 1;
+  for (let i = 1; i < window.length; i++) {
+    const start = window[i - 1].mrr;
+    if (start <= 0) continue;
+    nrr *= (start + window[i].expansionMRR - window[i].contractionMRR - window[i].churnedMRR) / start;
+    grr *= (start - window[i].contractionMRR - window[i].churnedMRR) / start;
+  }
+  const annualize = 12 / (window.length - 1);
+  return { nrr: Math.round(Math.pow(nrr, annualize) * 100), grr: Math.round(Math.pow(grr, annualize) * 100) };
+}
+
+export function calcIndependentImpact(assumptions, key, value, months, rollout) {
+  const baseMRR = calculateMRR(assumptions, {}, months);
+  const newMRR = calculateMRR(assumptions, { [key]: value }, months, rollout);
+  return baseMRR > 0 ? Math.round(((newMRR - baseMRR) / baseMRR) * 100) : 0;
+}
+
+export function formatMRR(value) {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}K`;
+  return `$${value}`;
+}
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_ASSUMPTIONS } from "./profiles.js";
+import { simulateMonths, runwaySummary, calcIndependentImpact, calculateMRR } from "./engine.js";
+
+const base = { ...DEFAULT_ASSUMPTIONS, retentionCurve: "flat" };
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test("simulateMonths returns month 0 through the horizon", () => {
+  const rows = simulateMonths(base, {}, 12);
+  assert.equal(rows.length, 13);
+  assert.deepEqual(rows.map(r => r.month), Array.from({ length: 13 }, (_, m) => m));
+  assert.equal(rows[0].customers, base.customers);
+  assert.equal(rows[0].mrr, base.customers * base.arpu * 1000);
+});
+
+test("an override at the baseline value changes nothing", () => {
+  assert.deepEqual(simulateMonths(base, { churnRate: base.churnRate }, 12), simulateMonths(base, {}, 12));
+});
+
+test("lower churn and higher ARPU lift MRR over the baseline", () => {
+  const baseline = simulateMonths(base, {}, 12);
+  const retained = simulateMonths(base, { churnRate: 2 }, 12);
+  const repriced = simulateMonths(base, { arpu: 9 }, 12);
+  assert.equal(retained[0].mrr, baseline[0].mrr);
+  assert.ok(retained[12].mrr > baseline[12].mrr);
+  assert.ok(retained[12].churnedCustomers < baseline[12].churnedCustomers);
+  assert.ok(repriced[12].mrr > baseline[12].mrr);
+});
+
+test("with no stage delays, each month's leads convert the same month", () => {
+  const a = { ...base, demoLag: 0, trialLag: 0, paidLag: 0 };
+  const rows = simulateMonths(a, {}, 6);
+  rows.slice(1).forEach(row => {
+    close(row.newCustomers, row.leads * (a.demoRate / 100) * (a.trialRate / 100) * (a.paidRate / 100));
+  });
+});
+
+test("whole-month delays shift conversions, fractional ones split them", () => {
+  const a = { ...base, lagUnit: "months", demoLag: 0, trialLag: 0, paidLag: 2 };
+  const rows = simulateMonths(a, {}, 6);
+  close(rows[5].newCustomers, rows[3].trials * (a.paidRate / 100));
+
+  const split = { ...a, paidLag: 1.5 };
+  const splitRows = simulateMonths(split, {}, 6);
+  close(splitRows[5].newCustomers, (splitRows[4].trials * 0.5 + splitRows[3].trials * 0.5) * (a.paidRate / 100));
+});
+
+test("a phased lever waits for its start month, then ramps linearly", () => {
+  const rollout = { arpu: { start: 3, ramp: 4, mode: "new" } };
+  const baseline = simulateMonths(base, {}, 8);
+  const rows = simulateMonths(base, { arpu: 10 }, 8, rollout);
+  assert.deepEqual(rows.slice(0, 3), baseline.slice(0, 3));
+  [[3, 1], [4, 2], [5, 3], [6, 4], [7, 4]].forEach(([m, steps]) => {
+    close(rows[m].newMRR / rows[m].newCustomers / 1000, base.arpu + (10 - base.arpu) * Math.min(1, steps / 4));
+  });
+});
+
+test("a repricing reaches existing accounts only in migrate mode", () => {
+  const baseline = simulateMonths(base, {}, 3);
+  const newOnly = simulateMonths(base, { arpu: 9 }, 3, { arpu: { start: 1, ramp: 0, mode: "new" } });
+  const migrate = simulateMonths(base, { arpu: 9 }, 3, { arpu: { start: 1, ramp: 0, mode: "migrate" } });
+  close(newOnly[1].expansionMRR, baseline[1].expansionMRR);
+  close(newOnly[1].mrr - newOnly[1].newMRR, baseline[1].mrr - baseline[1].newMRR, 1);
+  const repriced = baseline[0].customers * (1 - base.churnRate / 100) * base.arpu * 1000
+    * (1 + (base.expansionRate - base.contractionRate) / 100) * (9 / base.arpu - 1);
+  close(migrate[1].expansionMRR - baseline[1].expansionMRR, repriced, 1e-6);
+  assert.ok(migrate[3].mrr > newOnly[3].mrr);
+});
+
+test("segments are simulated separately and summed", () => {
+  const segments = [
+    { id: "small", name: "Small", leadShare: 75, customers: 15, arpu: 4, churnRate: 6, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+    { id: "large", name: "Large", leadShare: 25, customers: 5, arpu: 12, churnRate: 2, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+  ];
+  const rows = simulateMonths({ ...base, segments }, {}, 6);
+  rows.forEach(row => {
+    close(row.mrr, row.bySegment.small.mrr + row.bySegment.large.mrr);
+    close(row.customers, row.bySegment.small.customers + row.bySegment.large.customers);
+  });
+  close(rows[1].bySegment.small.leads, rows[1].leads * 0.75);
+  assert.equal(rows[0].mrr, (15 * 4 + 5 * 12) * 1000);
+});
+
+test("a lever scoped to one segment leaves the others alone", () => {
+  const segments = [
+    { id: "small", name: "Small", leadShare: 50, customers: 10, arpu: 4, churnRate: 6, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+    { id: "large", name: "Large", leadShare: 50, customers: 10, arpu: 12, churnRate: 2, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+  ];
+  const a = { ...base, segments };
+  const baseline = simulateMonths(a, {}, 6);
+  const rows = simulateMonths(a, { churnRate: 1 }, 6, { churnRate: { start: 1, ramp: 0, scope: "large" } });
+  assert.deepEqual(rows[6].bySegment.small, baseline[6].bySegment.small);
+  assert.ok(rows[6].bySegment.large.mrr > baseline[6].bySegment.large.mrr);
+});
+
+test("a lead-volume lever is split across segments by lead share", () => {
+  const half = { leadShare: 50, customers: 10, arpu: base.arpu, churnRate: base.churnRate, activationRate: base.activationRate,
+    demoRate: base.demoRate, trialRate: base.trialRate, paidRate: base.paidRate };
+  const a = { ...base, segments: [{ ...half, id: "a", name: "A" }, { ...half, id: "b", name: "B" }] };
+  const whole = { ...base, customers: 20 };
+  const rows = simulateMonths(a, { leadsPerMonth: 60 }, 6);
+  const unsegmented = simulateMonths(whole, { leadsPerMonth: 60 }, 6);
+  close(rows[1].leads, unsegmented[1].leads);
+  close(rows[1].bySegment.a.leads, unsegmented[1].leads / 2);
+  rows.forEach((row, m) => close(row.mrr, unsegmented[m].mrr, 1));
+});
+
+test("runwaySummary finds the first month out of cash and at break-even", () => {
+  const rows = [
+    { month: 0, cash: 100, netBurn: 0 },
+    { month: 1, cash: 40, netBurn: 60 },
+    { month: 2, cash: -10, netBurn: 50 },
+    { month: 3, cash: -20, netBurn: 0 },
+  ];
+  assert.deepEqual(runwaySummary(rows), { outOfCashMonth: 2, breakEvenMonth: 3 });
+  assert.deepEqual(runwaySummary(rows.slice(0, 2)), { outOfCashMonth: null, breakEvenMonth: null });
+});
+
+test("cash falls by each month's net burn", () => {
+  const rows = simulateMonths(base, {}, 6);
+  rows.slice(1).forEach((row, i) => close(row.cash, rows[i].cash - row.netBurn, 1e-6));
+});
+
+test("calcIndependentImpact is the rounded % lift of one lever", () => {
+  assert.equal(calcIndependentImpact(base, "churnRate", base.churnRate, 12), 0);
+  const baseMRR = calculateMRR(base, {}, 12);
+  const mrr = calculateMRR(base, { churnRate: 2 }, 12, {});
+  assert.equal(calcIndependentImpact(base, "churnRate", 2, 12, {}), Math.round(((mrr - baseMRR) / baseMRR) * 100));
+  assert.ok(calcIndependentImpact(base, "churnRate", 8, 12, {}) < 0);
+});
+
+test("calcIndependentImpact is 0 when the baseline has no MRR", () => {
+  const empty = { ...base, customers: 0, leadsPerMonth: 0 };
+  assert.equal(calculateMRR(empty, {}, 12), 0);
+  assert.equal(calcIndependentImpact(empty, "leadsPerMonth", 50, 12, {}), 0);
+});
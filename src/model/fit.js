@@ -0,0 +1,132 @@
+/* Estimating baseline assumptions from imported actuals. Each estimate fits
+   one monthly flow against what drives it (churned accounts against last
+   month's customers, new paid against leads a funnel-delay earlier, …) and
+   reports the fit's R² and the months it used. */
+
+import { ASSUMPTION_META, lagInMonths } from "./assumptions.js";
+
+const MIN_MONTHS = 3;
+
+/* Funnel stages as actuals columns: each rate converts `from` into `to`
+   after the stage's delay. */
+const FUNNEL_FITS = [
+  { key: "demoRate", from: "leads", to: "demos", lagKey: "demoLag" },
+  { key: "trialRate", from: "demos", to: "trials", lagKey: "trialLag" },
+  { key: "paidRate", from: "trials", to: "newPaid", lagKey: "paidLag" },
+];
+
+const rSquared = (points, predict) => {
+  const mean = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const sst = points.reduce((sum, p) => sum + (p.y - mean) ** 2, 0);
+  const sse = points.reduce((sum, p) => sum + (p.y - predict(p.x)) ** 2, 0);
+  if (sst === 0) return sse === 0 ? 1 : 0;
+  return Math.max(0, 1 - sse / sst);
+};
+
+/* Least-squares y ≈ slope × x. */
+function fitProportional(points) {
+  const sxx = points.reduce((sum, p) => sum + p.x * p.x, 0);
+  if (sxx === 0) return null;
+  const slope = points.reduce((sum, p) => sum + p.x * p.y, 0) / sxx;
+  return { slope, r2: rSquared(points, x => slope * x) };
+}
+
+/* Least-squares y ≈ intercept + slope × x. */
+function fitLine(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+  const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+  const intercept = meanY - slope * meanX;
+  return { slope, intercept, r2: rSquared(points, x => intercept + slope * x) };
+}
+
+/* Pairs each month's `to` with `from` `lag` whole months earlier, where both
+   are present. */
+function lagPoints(rows, from, to, lag) {
+  return rows.flatMap((row, t) => {
+    const source = rows[t - lag];
+    return source && source[from] != null && row[to] != null ? [{ x: source[from], y: row[to], month: row.month }] : [];
+  });
+}
+
+const clampTo = (key, value, decimals) => {
+  const meta = ASSUMPTION_META[key];
+  const factor = 10 ** decimals;
+  return Math.min(meta.max, Math.max(meta.min, Math.round(value * factor) / factor));
+};
+
+/* Fits churn, ARPU, lead volume and growth, and funnel conversion to the
+   actuals, using the assumptions' stage delays. Churn is the blended monthly
+   rate across all tenures, so it matches a flat retention curve. Without demo and trial columns, trial → paid is
+   backed out of overall lead → paid conversion at the current demo and trial
+   rates. Returns { fits: [{ key, value, r2, months, from, to, note? }],
+   skipped: [{ key, reason }] }. */
+export function fitAssumptions(rows, assumptions) {
+  const fits = [];
+  const skipped = [];
+  const add = (key, points, value, r2, decimals, note) => {
+    fits.push({
+      key, value: clampTo(key, value, decimals), r2, months: points.length,
+      from: points[0].month, to: points[points.length - 1].month, ...(note ? { note } : {}),
+    });
+  };
+  const enough = (key, points, reason) => {
+    if (points.length >= MIN_MONTHS) return true;
+    skipped.push({ key, reason });
+    return false;
+  };
+  /* The fit, or a skip when its driver never moves off zero. */
+  const fitted = (key, fit, reason) => {
+    if (fit) return fit;
+    skipped.push({ key, reason });
+    return null;
+  };
+
+  const churnPoints = rows.slice(1).flatMap((row, i) => {
+    const prev = rows[i];
+    if (prev.customers == null || row.customers == null || row.newPaid == null || prev.customers === 0) return [];
+    return [{ x: prev.customers, y: prev.customers + row.newPaid - row.customers, month: row.month }];
+  });
+  const churn = enough("churnRate", churnPoints, `Needs customers and new paid for ${MIN_MONTHS + 1}+ consecutive months.`)
+    && fitted("churnRate", fitProportional(churnPoints), "Customers are zero in every month used.");
+  if (churn) add("churnRate", churnPoints, churn.slope * 100, churn.r2, 1);
+
+  const arpuPoints = rows.flatMap(row => (row.customers > 0 && row.mrr != null
+    ? [{ x: row.customers, y: row.mrr / 1000, month: row.month }] : []));
+  const arpu = enough("arpu", arpuPoints, `Needs customers and MRR for ${MIN_MONTHS}+ months.`)
+    && fitted("arpu", fitProportional(arpuPoints), "Customers are zero in every month used.");
+  if (arpu) add("arpu", arpuPoints, arpu.slope, arpu.r2, 2);
+
+  const leadPoints = rows.flatMap((row, t) => (row.leads > 0 ? [{ x: t, y: Math.log(row.leads), month: row.month }] : []));
+  const trend = enough("leadGrowthRate", leadPoints, `Needs leads for ${MIN_MONTHS}+ months.`) && fitLine(leadPoints);
+  if (trend) {
+    add("leadsPerMonth", leadPoints, Math.exp(trend.intercept + trend.slope * (rows.length - 1)), trend.r2, 0,
+      "Trend value at the latest month.");
+    add("leadGrowthRate", leadPoints, (Math.exp(trend.slope) - 1) * 100, trend.r2, 1);
+  }
+
+  const rates = {};
+  FUNNEL_FITS.forEach(stage => {
+    const points = lagPoints(rows, stage.from, stage.to, Math.round(lagInMonths(assumptions, stage.lagKey)));
+    if (points.length < MIN_MONTHS) return;
+    const fit = fitted(stage.key, fitProportional(points), `No ${stage.from} in any month used.`);
+    if (!fit) return;
+    rates[stage.key] = fit.slope * 100;
+    add(stage.key, points, fit.slope * 100, fit.r2, 1);
+  });
+  if (rates.paidRate === undefined && !skipped.some(skip => skip.key === "paidRate")) {
+    const totalLag = Math.round(FUNNEL_FITS.reduce((sum, stage) => sum + lagInMonths(assumptions, stage.lagKey), 0));
+    const points = lagPoints(rows, "leads", "newPaid", totalLag);
+    const overall = enough("paidRate", points, `Needs leads and new paid for ${MIN_MONTHS}+ months.`)
+      && fitted("paidRate", fitProportional(points), "No leads in any month used.");
+    const upstream = ((rates.demoRate ?? assumptions.demoRate) / 100) * ((rates.trialRate ?? assumptions.trialRate) / 100);
+    if (overall && upstream > 0) {
+      add("paidRate", points, (overall.slope / upstream) * 100, overall.r2, 1,
+        `From overall lead → paid conversion (${(overall.slope * 100).toFixed(1)}%) at the current earlier-stage rates.`);
+    }
+  }
+  return { fits, skipped };
+}
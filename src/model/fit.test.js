@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_ASSUMPTIONS } from "./profiles.js";
+import { simulateMonths } from "./engine.js";
+import { fitAssumptions } from "./fit.js";
+
+const history = {
+  ...DEFAULT_ASSUMPTIONS, retentionCurve: "flat", churnRate: 4, arpu: 7, expansionRate: 0, contractionRate: 0,
+  lagUnit: "months", demoLag: 0, trialLag: 1, paidLag: 1, demoRate: 40, trialRate: 60, paidRate: 50,
+};
+
+/* The projection written out the way an actuals import reads it. */
+const actualsFrom = (rows) => rows.map(row => ({
+  month: `M${row.month}`, customers: row.customers, mrr: row.mrr, leads: row.leads,
+  demos: row.demos, trials: row.trials, newPaid: row.newCustomers,
+}));
+
+const fitOf = (result, key) => result.fits.find(f => f.key === key);
+
+test("fitting a simulated history recovers its churn, ARPU and conversion", () => {
+  const rows = actualsFrom(simulateMonths(history, {}, 12));
+  const result = fitAssumptions(rows, history);
+  assert.deepEqual(result.skipped, []);
+  assert.equal(fitOf(result, "churnRate").value, 4);
+  assert.equal(fitOf(result, "arpu").value, 7);
+  assert.equal(fitOf(result, "leadGrowthRate").value, history.leadGrowthRate);
+  ["demoRate", "trialRate", "paidRate"].forEach(key => {
+    assert.equal(fitOf(result, key).value, history[key]);
+    assert.ok(fitOf(result, key).r2 > 0.99);
+  });
+  assert.equal(fitOf(result, "churnRate").months, 12);
+  assert.equal(fitOf(result, "arpu").from, "M0");
+});
+
+test("without demo and trial columns, trial → paid is backed out of lead → paid", () => {
+  const rows = actualsFrom(simulateMonths(history, {}, 12)).map(({ demos, trials, ...row }) => row);
+  const paid = fitOf(fitAssumptions(rows, history), "paidRate");
+  assert.equal(paid.value, 50);
+  assert.match(paid.note, /overall lead → paid/);
+});
+
+test("too few months skip a fit with the reason", () => {
+  const rows = actualsFrom(simulateMonths(history, {}, 2));
+  const { fits, skipped } = fitAssumptions(rows, history);
+  assert.deepEqual(skipped.map(s => s.key).sort(), ["churnRate", "paidRate"]);
+  assert.match(skipped.find(s => s.key === "churnRate").reason, /4\+ consecutive months/);
+  assert.match(skipped.find(s => s.key === "paidRate").reason, /3\+ months/);
+  assert.equal(fits.some(f => f.key === "churnRate"), false);
+  assert.equal(fitOf({ fits }, "arpu").months, 3);
+});
+
+test("a driver that is zero throughout is skipped rather than dropped", () => {
+  const rows = [0, 1, 2, 3].map(m => ({ month: `M${m}`, customers: 0, mrr: 0, leads: 10, demos: 0, trials: 0, newPaid: 0 }));
+  const { skipped } = fitAssumptions(rows, history);
+  assert.ok(skipped.some(s => s.key === "paidRate" && /No trials/.test(s.reason)));
+});
@@ -0,0 +1,100 @@
+/* The growth model on its own: no React, no DOM, plain ES modules, so Node
+   scripts, notebooks and backends can run the same math as the UI.
+
+   Main entry point
+
+     runScenario({ assumptions, levers, values, rollout, months }) → {
+       months,        projection length
+       baseline,      monthly rows with no levers moved
+       scenario,      monthly rows with `values` applied
+       baselineMRR,   Month-N MRR, baseline and scenario
+       mrr,
+       lift,          scenario vs baseline, % (rounded)
+       impacts,       { [assumption key]: % lift from that lever alone }
+       insight,       one-paragraph summary of what matters most
+     }
+
+   `assumptions` may be partial; missing keys take the built-in profile's
+   values. `levers` defaults to the built-in profile's levers, `values` maps
+   an assumption key to its lever value (absent = baseline), `rollout` maps
+   it to { start, ramp, mode?, scope? } and defaults to each lever's own, and
+   `months` defaults to 12.
+
+   Each monthly row has month, leads, demos, trials, awaitingDemo,
+   awaitingTrial, awaitingDecision, newCustomers, churnedCustomers,
+   customers, mrr, newMRR, expansionMRR, contractionMRR, churnedMRR,
+   acquisitionSpend, opex, grossProfit, netBurn and cash (all money in
+   dollars), plus bySegment when the assumptions define segments. Row 0 is
+   the starting point.
+
+   The building blocks are exported too:
+
+     simulateMonths(assumptions, overrides, months, rollout) → rows
+     calculateMRR(assumptions, overrides, month, rollout) → Month-N MRR
+     calcIndependentImpact(assumptions, key, value, months, rollout) → % lift
+     generateCoreInsight(assumptions, levers, values, months, rollout) → text
+     formatMRR(dollars) → "$696K"
+
+   alongside unit economics, runway, revenue retention, Monte Carlo bands,
+   goal seek, lift attribution, sensitivity, calibration, profile
+   validation, importing actuals (parseActuals, anchorToActuals), fitting
+   assumptions to them (fitAssumptions) and tracking a locked plan against
+   them (lockPlan, planVariance, reforecast), and comparing scenarios side by
+   side (scenarioMetrics, metricDeltas) and writing the projection out as a
+   monthly CSV (monthlyCSV, built on csvCell) or as an Excel workbook whose formulas
+   recalculate it (writeXlsx(scenarioWorkbook(...))). Here `overrides` is the same shape as `values`. */
+
+import { BUILT_IN_PROFILES, DEFAULT_ASSUMPTIONS } from "./profiles.js";
+import { simulateMonths, calcIndependentImpact } from "./engine.js";
+import { rolloutFor } from "./levers.js";
+import { generateCoreInsight } from "./insight.js";
+
+export function runScenario({ assumptions = {}, levers = BUILT_IN_PROFILES[0].levers, values = {}, rollout, months = 12 } = {}) {
+  const base = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  const timing = rollout ?? rolloutFor(levers);
+  const overrides = Object.fromEntries(Object.entries(values).filter(([, v]) => v != null));
+  const baseline = simulateMonths(base, {}, months);
+  const scenario = simulateMonths(base, overrides, months, timing);
+  const baselineMRR = baseline[months].mrr;
+  const mrr = scenario[months].mrr;
+
+  const keys = [...new Set([...levers.map(l => l.baseKey), ...Object.keys(overrides)])];
+  const current = Object.fromEntries(keys.map(key => [key, overrides[key] ?? base[key]]));
+  return {
+    months,
+    baseline,
+    scenario,
+    baselineMRR,
+    mrr,
+    lift: baselineMRR > 0 ? Math.round(((mrr - baselineMRR) / baselineMRR) * 100) : 0,
+    impacts: Object.fromEntries(keys.map(key => [key, calcIndependentImpact(base, key, current[key], months, timing)])),
+    insight: levers.length ? generateCoreInsight(base, levers, current, months, timing) : null,
+  };
+}
+
+export {
+  ASSUMPTION_META, RUNWAY_LOOKAHEAD, FUNNEL_STAGES, DAYS_PER_MONTH, RETENTION_CURVES, SEGMENT_KEYS, PHASED_KEYS,
+  assumptionMeta, lagInMonths,
+} from "./assumptions.js";
+export {
+  churnHazard, cohortSurvival, segmentScenarios, simulateMonths, calculateMRR, lifetimeValue, unitEconomics,
+  runwaySummary, revenueRetention, calcIndependentImpact, formatMRR,
+} from "./engine.js";
+export { rolloutFor, ARPU_ROLLOUT_MODES, LEVER_DIRECTIONS, customLever, leverPlan } from "./levers.js";
+export { BUILT_IN_PROFILES, DEFAULT_ASSUMPTIONS, parseProfile, assumptionErrors } from "./profiles.js";
+export {
+  DISTRIBUTIONS, SIMULATION_RUNS, SIMULATION_SEED, DEFAULT_SPREAD, clampAssumption, uncertaintyFor, runMonteCarlo,
+  goalProbability,
+} from "./montecarlo.js";
+export {
+  seekGoal, attributeLift, DEFAULT_SENSITIVITY, withAssumption, sensitivityAnalysis, parseNumberList,
+  parseActivationHistory, calibrateActivationWeight,
+} from "./analysis.js";
+export { generateCoreInsight } from "./insight.js";
+export { ACTUALS_COLUMNS, parseActuals, anchorToActuals } from "./actuals.js";
+export { fitAssumptions } from "./fit.js";
+export { PLAN_DRIVERS, lockPlan, planRows, planVariance, reforecast } from "./plan.js";
+export { MAX_COMPARED, COMPARISON_METRICS, scenarioMetrics, metricDeltas } from "./compare.js";
+export { MONTHLY_COLUMNS, monthlyCSV, csvCell } from "./table.js";
+export { scenarioWorkbook } from "./workbook.js";
+export { writeXlsx } from "./xlsx.js";
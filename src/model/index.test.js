@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { runScenario, simulateMonths, BUILT_IN_PROFILES, DEFAULT_ASSUMPTIONS, rolloutFor } from "./index.js";
+
+test("runScenario returns the documented shape", () => {
+  const result = runScenario({ values: { churnRate: 3, arpu: 7 }, months: 18 });
+  assert.deepEqual(Object.keys(result).sort(),
+    ["baseline", "baselineMRR", "impacts", "insight", "lift", "months", "mrr", "scenario"]);
+  assert.equal(result.months, 18);
+  assert.equal(result.baseline.length, 19);
+  assert.equal(result.scenario.length, 19);
+  assert.equal(result.baselineMRR, result.baseline[18].mrr);
+  assert.equal(result.mrr, result.scenario[18].mrr);
+  assert.equal(result.lift, Math.round(((result.mrr - result.baselineMRR) / result.baselineMRR) * 100));
+  assert.deepEqual(Object.keys(result.impacts).sort(), BUILT_IN_PROFILES[0].levers.map(l => l.baseKey).sort());
+  assert.equal(typeof result.insight, "string");
+});
+
+test("runScenario defaults to the built-in profile, its levers' rollout and 12 months", () => {
+  const result = runScenario({ values: { churnRate: 3 } });
+  const rollout = rolloutFor(BUILT_IN_PROFILES[0].levers);
+  assert.equal(result.months, 12);
+  assert.deepEqual(result.baseline, simulateMonths(DEFAULT_ASSUMPTIONS, {}, 12));
+  assert.deepEqual(result.scenario, simulateMonths(DEFAULT_ASSUMPTIONS, { churnRate: 3 }, 12, rollout));
+});
+
+test("runScenario fills partial assumptions and skips empty values", () => {
+  const result = runScenario({ assumptions: { customers: 40 }, values: { arpu: null }, months: 6 });
+  assert.equal(result.baseline[0].customers, 40);
+  assert.deepEqual(result.scenario, result.baseline);
+  assert.equal(result.lift, 0);
+});
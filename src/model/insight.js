@@ -0,0 +1,36 @@
+/* Plain-English summary of which levers matter most. */
+
+import { calcIndependentImpact } from "./engine.js";
+
+/* `values` holds each lever's current value, keyed by the assumption it moves. */
+export function generateCoreInsight(assumptions, levers, values, months, rollout) {
+  const impacts = levers.map(lever => ({
+    label: lever.label.toLowerCase(),
+    pct: Math.abs(calcIndependentImpact(assumptions, lever.baseKey, values[lever.baseKey], months, rollout)),
+    leverId: lever.id,
+  })).sort((a, b) => b.pct - a.pct);
+
+  const modified = impacts.filter(i => i.pct > 0);
+
+  if (modified.length === 0) {
+    const targetImpacts = levers.map(lever => ({
+      label: lever.label.toLowerCase(),
+      pct: Math.abs(calcIndependentImpact(assumptions, lever.baseKey, lever.targetValue, months, rollout)),
+    })).sort((a, b) => b.pct - a.pct);
+    const top = targetImpacts[0];
+    const second = targetImpacts[1];
+    if (!second) return `At these baselines over ${months} months, ${top.label} has +${top.pct}% upside at its target value. Drag the slider to explore.`;
+    return `At these baselines over ${months} months, ${top.label} (+${top.pct}%) and ${second.label} (+${second.pct}%) have the largest upside at their target values. Drag the sliders to explore.`;
+  }
+
+  const top = modified[0];
+  if (modified.length === 1) {
+    return `With your current adjustments, ${top.label} is driving all the MRR movement (+${top.pct}%). Try combining levers — the effects multiply.`;
+  }
+  const acqImpact = modified.find(i => i.leverId === "activation");
+  const retMonImpact = modified.filter(i => i.leverId === "churn" || i.leverId === "arpu");
+  if (retMonImpact.length >= 2 && acqImpact && retMonImpact.reduce((s, i) => s + i.pct, 0) > acqImpact.pct * 1.5) {
+    return `Retention + monetization are driving ${retMonImpact.reduce((s, i) => s + i.pct, 0)}% combined uplift vs ${acqImpact.pct}% from activation alone. Retention confirms PMF; monetization funds the next phase of growth.`;
+  }
+  return `Largest lever: ${top.label} at +${top.pct}%. ${modified.length > 1 ? `Combined with ${modified[1].label} (+${modified[1].pct}%), these compound — the chart reflects their multiplicative effect.` : ""}`;
+}
@@ -0,0 +1,59 @@
+/* Lever helpers: rollout defaults, user-defined levers and plan entries. */
+
+import { assumptionMeta } from "./assumptions.js";
+
+/* Lever timing, keyed by the assumption each lever moves. */
+export function rolloutFor(levers) {
+  return Object.fromEntries(levers.map(l => [l.baseKey, l.rollout]));
+}
+
+export const ARPU_ROLLOUT_MODES = {
+  migrate: "Existing base migrates too",
+  new:     "New customers only",
+};
+
+export const LEVER_DIRECTIONS = {
+  "higher-is-better": "Higher is better",
+  "lower-is-better": "Lower is better",
+};
+
+/* A user-defined lever on any assumption, with the input's own range and
+   step, aiming 20% better than today. */
+export function customLever(assumptions, key, direction = "higher-is-better") {
+  const meta = assumptionMeta(assumptions, key);
+  const decimals = (String(meta.step).split(".")[1] || "").length;
+  const onStep = (v) => +(Math.round(v / meta.step) * meta.step).toFixed(decimals);
+  const max = +(Math.floor(meta.max / meta.step) * meta.step).toFixed(decimals);
+  const aim = assumptions[key] * (direction === "lower-is-better" ? 0.8 : 1.2);
+  return {
+    id: `custom-${key}`,
+    custom: true,
+    label: meta.label,
+    subtitle: "Custom lever",
+    unit: meta.unit,
+    prefix: meta.prefix,
+    baseKey: key,
+    targetValue: Math.min(max, Math.max(meta.min, onStep(aim))),
+    min: meta.min,
+    max,
+    step: meta.step,
+    direction,
+    rollout: { start: 1, ramp: 0 },
+    insight: "",
+    tactics: [],
+    analogy: "",
+  };
+}
+
+/* The 30-day plan entry for a lever. Custom levers without one get a plan
+   built from their target, insight and tactics. */
+export function leverPlan(lever, baseValue) {
+  if (lever.plan) return lever.plan;
+  const show = (v) => `${lever.prefix || ""}${v}${lever.unit}`;
+  return {
+    title: `Move ${lever.label.toLowerCase()} to ${show(lever.targetValue)}`,
+    what: lever.insight || "A custom lever — add an insight to say why it matters and how you'd move it.",
+    deliverable: lever.tactics.length ? lever.tactics.join(" · ") : "Tactics to be scoped",
+    metric: `${lever.label} from ${show(baseValue)} → ${show(lever.targetValue)}`,
+  };
+}
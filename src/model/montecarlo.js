@@ -0,0 +1,117 @@
+/* Monte Carlo uncertainty bands: every assumption drawn from its range,
+   seeded so results are repeatable. */
+
+import { ASSUMPTION_META, SEGMENT_KEYS } from "./assumptions.js";
+import { simulateMonths } from "./engine.js";
+
+export const DISTRIBUTIONS = {
+  fixed:      { label: "Fixed" },
+  triangular: { label: "Triangular" },
+  uniform:    { label: "Uniform" },
+  normal:     { label: "Normal" },
+};
+
+export const SIMULATION_RUNS = 2000;
+
+export const SIMULATION_SEED = 20260;
+
+export const DEFAULT_SPREAD = 0.2;
+
+/* Small seeded PRNG so the bands don't flicker between renders. */
+function mulberry32(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* Keeps a drawn value usable: never below the input's minimum, and no rate
+   above 100%. */
+export function clampAssumption(key, value) {
+  const meta = ASSUMPTION_META[key];
+  const capped = meta.unit === "%" ? Math.min(100, value) : value;
+  return Math.max(meta.min, capped);
+}
+
+/* Unedited assumptions get a ±20% triangular range around their value. */
+export function uncertaintyFor(uncertainty, key, value) {
+  if (uncertainty[key]) return uncertainty[key];
+  return {
+    dist: "triangular",
+    low: clampAssumption(key, +(value * (1 - DEFAULT_SPREAD)).toFixed(2)),
+    high: clampAssumption(key, +(value * (1 + DEFAULT_SPREAD)).toFixed(2)),
+  };
+}
+
+/* Draws one value. The assumption itself is the mode (triangular) or mean
+   (normal); for normal, low/high are read as P10/P90. */
+function sampleValue(spec, value, rand) {
+  const { dist, low, high } = spec;
+  if (dist === "uniform") return low + rand() * (high - low);
+  if (dist === "normal") {
+    const z = Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+    return value + z * ((high - low) / 2.563);
+  }
+  if (dist === "triangular") {
+    const mode = Math.min(high, Math.max(low, value));
+    const u = rand();
+    const cut = high > low ? (mode - low) / (high - low) : 0;
+    return u < cut
+      ? low + Math.sqrt(u * (high - low) * (mode - low))
+      : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+  }
+  return value;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/* Runs the projection SIMULATION_RUNS times with every assumption drawn from
+   its range. Lever overrides keep their relative change against each draw, so
+   "churn 5% → 3%" stays a 40% improvement whatever churn turns out to be.
+   Segment values move by the same relative draw as their top-level input;
+   a lead-volume override is scaled here against the company-wide draw and
+   split across segments by lead share in simulateMonths, like the baseline.
+   Returns per-month P10/P50/P90 MRR and the sorted final-month outcomes. */
+export function runMonteCarlo(assumptions, overrides, uncertainty, months, rollout) {
+  const rand = mulberry32(SIMULATION_SEED);
+  const keys = Object.keys(ASSUMPTION_META);
+  const paths = Array.from({ length: months + 1 }, () => []);
+
+  for (let run = 0; run < SIMULATION_RUNS; run++) {
+    const sampled = { ...assumptions };
+    keys.forEach(key => {
+      const draw = sampleValue(uncertaintyFor(uncertainty, key, assumptions[key]), assumptions[key], rand);
+      sampled[key] = clampAssumption(key, draw);
+    });
+    sampled.segments = (assumptions.segments ?? []).map(segment => {
+      const drawn = { ...segment };
+      SEGMENT_KEYS.forEach(key => { if (assumptions[key]) drawn[key] = segment[key] * (sampled[key] / assumptions[key]); });
+      return drawn;
+    });
+    const scaled = {};
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (value == null) return;
+      scaled[key] = assumptions[key] ? value * (sampled[key] / assumptions[key]) : value;
+    });
+    simulateMonths(sampled, scaled, months, rollout).forEach((row, m) => paths[m].push(row.mrr));
+  }
+
+  const sortedPaths = paths.map(values => values.sort((a, b) => a - b));
+  return {
+    p10: sortedPaths.map(v => percentile(v, 0.1)),
+    p50: sortedPaths.map(v => percentile(v, 0.5)),
+    p90: sortedPaths.map(v => percentile(v, 0.9)),
+    finals: sortedPaths[months],
+  };
+}
+
+/* Share of simulated runs that end at or above the goal. */
+export function goalProbability(finals, goal) {
+  const hits = finals.filter(v => v >= goal).length;
+  return Math.round((hits / finals.length) * 100);
+}
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_ASSUMPTIONS } from "./profiles.js";
+import { ASSUMPTION_META } from "./assumptions.js";
+import { simulateMonths } from "./engine.js";
+import { runMonteCarlo } from "./montecarlo.js";
+
+const fixed = Object.fromEntries(Object.keys(ASSUMPTION_META).map(key => [key, { dist: "fixed" }]));
+
+test("with every input fixed, each run is the plain projection", () => {
+  const segments = [
+    { id: "a", name: "A", leadShare: 50, customers: 10, arpu: 4, churnRate: 6, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+    { id: "b", name: "B", leadShare: 50, customers: 10, arpu: 12, churnRate: 2, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+  ];
+  const a = { ...DEFAULT_ASSUMPTIONS, segments };
+  const overrides = { leadsPerMonth: 60, churnRate: 3 };
+  const rows = simulateMonths(a, overrides, 6);
+  const bands = runMonteCarlo(a, overrides, fixed, 6);
+  assert.deepEqual(bands.p50, rows.map(row => row.mrr));
+  assert.deepEqual(bands.p10, bands.p90);
+});
@@ -0,0 +1,108 @@
+/* The plan: a scenario locked at a point in time, compared against actuals
+   as they come in and re-forecast from the latest actual month. */
+
+import { simulateMonths } from "./engine.js";
+import { anchorToActuals } from "./actuals.js";
+
+/* Drivers the variance is broken down by, and which way is good. */
+export const PLAN_DRIVERS = {
+  leads:      { label: "Leads",       higherIsBetter: true },
+  conversion: { label: "Lead → paid", higherIsBetter: true },
+  churn:      { label: "Churn",       higherIsBetter: false },
+  arpu:       { label: "ARPU",        higherIsBetter: true },
+};
+
+/* Snapshot of a scenario as the plan. Month 0 is the latest actual month when
+   the projection is anchored to actuals (`startMonth` records its label);
+   otherwise the first actual lines up with month 0, as on the chart. */
+export function lockPlan({ assumptions, values, rollout, months, startMonth = null, lockedOn }) {
+  return { assumptions, values, rollout, months, startMonth, lockedOn };
+}
+
+export function planRows(plan) {
+  return simulateMonths(plan.assumptions, plan.values, plan.months, plan.rollout);
+}
+
+/* Actuals after the plan's start, each paired with its plan month. Returns
+   { months: [{ month, row, prev }] } or { error }. */
+function elapsedActuals(plan, actuals) {
+  const start = plan.startMonth === null ? 0 : actuals.findIndex(r => r.month === plan.startMonth);
+  if (start < 0) return { error: `The plan starts from ${plan.startMonth}, which isn't in the imported actuals.` };
+  const months = actuals
+    .map((row, i) => ({ month: i - start, row, prev: actuals[i - 1] }))
+    .filter(m => m.month >= 1 && m.month <= plan.months);
+  return { months };
+}
+
+const ratio = (num, den) => (den > 0 ? num / den : null);
+
+/* Plan versus actual, month by month and summed up per driver over the
+   months so far: total leads, pooled lead → paid conversion (new paid per
+   lead), pooled churn (accounts lost per account at the start of the month)
+   and ARPU in the latest month. Variance is actual against plan, in %. */
+export function planVariance(plan, actuals) {
+  const elapsed = elapsedActuals(plan, actuals);
+  if (elapsed.error) return elapsed;
+  const rows = planRows(plan);
+  const months = elapsed.months.map(({ month, row, prev }) => {
+    const planned = rows[month];
+    const churned = prev && prev.customers != null && row.customers != null && row.newPaid != null
+      ? prev.customers + row.newPaid - row.customers : null;
+    return {
+      month, label: row.month,
+      plan: {
+        leads: planned.leads, newPaid: planned.newCustomers, churned: planned.churnedCustomers,
+        startCustomers: rows[month - 1].customers, customers: planned.customers, mrr: planned.mrr,
+      },
+      actual: {
+        leads: row.leads, newPaid: row.newPaid, churned, startCustomers: prev?.customers ?? null,
+        customers: row.customers, mrr: row.mrr,
+      },
+    };
+  });
+
+  const pooled = (field, per) => {
+    const usable = months.filter(m => m.actual[field] != null && m.actual[per] != null);
+    if (usable.length === 0) return null;
+    const sum = (side, key) => usable.reduce((total, m) => total + m[side][key], 0);
+    return { plan: ratio(sum("plan", field), sum("plan", per)), actual: ratio(sum("actual", field), sum("actual", per)) };
+  };
+  const withLeads = months.filter(m => m.actual.leads != null);
+  const latest = [...months].reverse().find(m => m.actual.mrr != null && m.actual.customers > 0);
+  const summary = {
+    leads: withLeads.length
+      ? { plan: withLeads.reduce((sum, m) => sum + m.plan.leads, 0), actual: withLeads.reduce((sum, m) => sum + m.actual.leads, 0) }
+      : null,
+    conversion: pooled("newPaid", "leads"),
+    churn: pooled("churned", "startCustomers"),
+    arpu: latest ? { plan: latest.plan.mrr / latest.plan.customers / 1000, actual: latest.actual.mrr / latest.actual.customers / 1000 } : null,
+  };
+  const drivers = Object.entries(summary).map(([key, values]) => ({
+    key,
+    ...values,
+    variance: values && values.plan ? ((values.actual - values.plan) / values.plan) * 100 : null,
+  }));
+  const lastMRR = [...months].reverse().find(m => m.actual.mrr != null);
+  return {
+    months,
+    drivers,
+    mrr: lastMRR ? { month: lastMRR.month, label: lastMRR.label, plan: lastMRR.plan.mrr, actual: lastMRR.actual.mrr } : null,
+  };
+}
+
+/* The plan's assumptions and lever values projected from the latest actual
+   month to the end of the plan, with each lever's rollout as far along as
+   the plan had it by now. Returns { elapsed, rows, planMRR } — planMRR being
+   the plan's own figure for its last month — or { error }. */
+export function reforecast(plan, actuals) {
+  const elapsed = elapsedActuals(plan, actuals);
+  if (elapsed.error) return elapsed;
+  const done = elapsed.months.length ? elapsed.months[elapsed.months.length - 1].month : 0;
+  const remaining = Math.max(1, plan.months - done);
+  const rollout = Object.fromEntries(Object.entries(plan.rollout).map(([key, r]) => [key, { ...r, start: r.start - done }]));
+  return {
+    elapsed: done,
+    rows: simulateMonths(anchorToActuals(plan.assumptions, actuals), plan.values, remaining, rollout),
+    planMRR: planRows(plan)[plan.months].mrr,
+  };
+}
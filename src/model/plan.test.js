@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_ASSUMPTIONS } from "./profiles.js";
+import { simulateMonths } from "./engine.js";
+import { lockPlan, planRows, planVariance, reforecast } from "./plan.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const assumptions = { ...DEFAULT_ASSUMPTIONS, retentionCurve: "flat", expansionRate: 0, contractionRate: 0 };
+const plan = lockPlan({
+  assumptions, values: { churnRate: 3 }, rollout: { churnRate: { start: 5, ramp: 0 } }, months: 6, lockedOn: "2026-01-01",
+});
+
+/* Months 0–3 as planned, except 10% more leads than the plan had. */
+const actuals = planRows(plan).slice(0, 4).map(row => ({
+  month: `M${row.month}`, customers: row.customers, mrr: row.mrr, leads: row.leads * 1.1, newPaid: row.newCustomers,
+}));
+
+test("planVariance breaks the gap down by driver", () => {
+  const variance = planVariance(plan, actuals);
+  assert.deepEqual(variance.months.map(m => m.month), [1, 2, 3]);
+  const driver = (key) => variance.drivers.find(d => d.key === key);
+  close(driver("leads").variance, 10);
+  close(driver("conversion").variance, (1 / 1.1 - 1) * 100);
+  close(driver("churn").variance, 0, 1e-6);
+  close(driver("arpu").variance, 0);
+  assert.deepEqual(variance.mrr, { month: 3, label: "M3", plan: actuals[3].mrr, actual: actuals[3].mrr });
+});
+
+test("reforecast runs the plan on from the latest actual month", () => {
+  const result = reforecast(plan, actuals);
+  const latest = actuals[3];
+  const anchored = { ...assumptions, customers: latest.customers, arpu: latest.mrr / latest.customers / 1000, leadsPerMonth: latest.leads };
+  const expected = simulateMonths(anchored, { churnRate: 3 }, 3, { churnRate: { start: 2, ramp: 0 } });
+  assert.equal(result.elapsed, 3);
+  assert.equal(result.rows.length, 4);
+  close(result.rows[3].mrr, expected[3].mrr, 1e-6);
+  assert.equal(result.planMRR, planRows(plan)[6].mrr);
+});
+
+test("a plan anchored to a month missing from the actuals can't be compared", () => {
+  const anchoredPlan = { ...plan, startMonth: "2024-12" };
+  assert.match(planVariance(anchoredPlan, actuals).error, /2024-12/);
+  assert.match(reforecast(anchoredPlan, actuals).error, /2024-12/);
+});
@@ -0,0 +1,141 @@
+/* Company profiles: the built-in ones and validation for profiles loaded
+   from JSON. */
+
+import kita from "../profiles/kita.js";
+import { ASSUMPTION_META, RETENTION_CURVES, SEGMENT_KEYS } from "./assumptions.js";
+import { LEVER_DIRECTIONS, customLever } from "./levers.js";
+
+export const BUILT_IN_PROFILES = [kita];
+
+/* Baseline for any assumption a loaded profile leaves out. */
+export const DEFAULT_ASSUMPTIONS = kita.assumptions;
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+
+function validateAssumption(key, value, errors, prefix = "assumptions") {
+  const where = `${prefix}.${key}`;
+  const meta = ASSUMPTION_META[key];
+  if (meta) {
+    if (!isNumber(value)) errors.push(`${where} must be a number.`);
+    else if (value < meta.min || value > meta.max) errors.push(`${where} must be between ${meta.min} and ${meta.max}.`);
+  } else if (key === "retentionCurve") {
+    if (!RETENTION_CURVES[value]) errors.push(`${where} must be one of ${Object.keys(RETENTION_CURVES).join(", ")}.`);
+  } else if (key === "lagUnit") {
+    if (value !== "days" && value !== "months") errors.push(`${where} must be "days" or "months".`);
+  } else if (key === "survivalTable") {
+    if (!Array.isArray(value) || value.some(v => !isNumber(v) || v < 0 || v > 100)) {
+      errors.push(`${where} must be a list of survival percentages between 0 and 100.`);
+    }
+  } else if (key === "segments") {
+    if (!Array.isArray(value)) { errors.push(`${where} must be a list.`); return; }
+    value.forEach((seg, i) => {
+      if (!isText(seg?.id) || !isText(seg?.name)) errors.push(`${where}[${i}] needs an id and a name.`);
+      ["leadShare", ...SEGMENT_KEYS].forEach(field => {
+        if (!isNumber(seg?.[field])) errors.push(`${where}[${i}].${field} must be a number.`);
+      });
+    });
+  } else {
+    errors.push(`Unknown assumption "${key}".`);
+  }
+}
+
+/* Problems with a set of assumption values given outside a profile, e.g. a
+   scenario file; `prefix` says where they came from in the messages. */
+export function assumptionErrors(values, prefix) {
+  const errors = [];
+  Object.entries(values).forEach(([key, value]) => validateAssumption(key, value, errors, prefix));
+  return errors;
+}
+
+function validateLever(lever, i, errors) {
+  const where = `levers[${i}]`;
+  if (!lever || typeof lever !== "object") { errors.push(`${where} must be an object.`); return false; }
+  if (!ASSUMPTION_META[lever.baseKey]) { errors.push(`${where}.baseKey must name a numeric assumption.`); return false; }
+  if (!isText(lever.label)) errors.push(`${where}.label must be a non-empty string.`);
+  ["targetValue", "min", "max", "step"].forEach(field => {
+    if (!isNumber(lever[field])) errors.push(`${where}.${field} must be a number.`);
+  });
+  if (lever.min >= lever.max) errors.push(`${where}.min must be below max.`);
+  if (lever.step <= 0) errors.push(`${where}.step must be above zero.`);
+  if (lever.targetValue < lever.min || lever.targetValue > lever.max) errors.push(`${where}.targetValue must sit inside min–max.`);
+  if (lever.direction !== undefined && !LEVER_DIRECTIONS[lever.direction]) {
+    errors.push(`${where}.direction must be ${Object.keys(LEVER_DIRECTIONS).join(" or ")}.`);
+  }
+  if (lever.tactics !== undefined && (!Array.isArray(lever.tactics) || !lever.tactics.every(isText))) {
+    errors.push(`${where}.tactics must be a list of strings.`);
+  }
+  if (lever.plan !== undefined && !["title", "what", "deliverable", "metric"].every(field => isText(lever.plan?.[field]))) {
+    errors.push(`${where}.plan needs a title, what, deliverable and metric.`);
+  }
+  if (lever.rollout !== undefined && !(isNumber(lever.rollout?.start) && isNumber(lever.rollout?.ramp))) {
+    errors.push(`${where}.rollout needs a numeric start and ramp.`);
+  }
+  return true;
+}
+
+/* Segment seeds: each names a segment, its % of leads and customers, and
+   optional `scale` / `shift` adjustments to the per-segment values. The
+   shares must add up to 100. */
+function validateSegmentSeeds(seeds, errors) {
+  if (!Array.isArray(seeds) || seeds.length === 0) { errors.push("segmentSeeds must be a non-empty list."); return; }
+  const adjustable = SEGMENT_KEYS.filter(key => key !== "customers");
+  seeds.forEach((seed, i) => {
+    const where = `segmentSeeds[${i}]`;
+    if (!isText(seed?.id) || !isText(seed?.name)) errors.push(`${where} needs an id and a name.`);
+    if (!isNumber(seed?.share) || seed.share < 0 || seed.share > 100) errors.push(`${where}.share must be between 0 and 100.`);
+    ["scale", "shift"].forEach(field => {
+      if (seed?.[field] === undefined) return;
+      const entries = typeof seed[field] === "object" && !Array.isArray(seed[field]) ? Object.entries(seed[field]) : null;
+      if (!entries || entries.some(([key, value]) => !adjustable.includes(key) || !isNumber(value))) {
+        errors.push(`${where}.${field} must map ${adjustable.join(", ")} to numbers.`);
+      }
+    });
+  });
+  const total = seeds.reduce((sum, seed) => sum + (isNumber(seed?.share) ? seed.share : 0), 0);
+  if (Math.abs(total - 100) > 1e-9) errors.push(`segmentSeeds shares must add up to 100 (they add up to ${total}).`);
+}
+
+/* Checks a profile parsed from JSON and fills in what it may leave out:
+   missing assumptions take the built-in defaults, and a lever's id, units and
+   rollout come from the assumption it moves. Returns { profile } or
+   { errors } listing every problem found. */
+export function parseProfile(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: ["A profile must be a JSON object."] };
+  const errors = [];
+  if (!isText(raw.name)) errors.push("name must be a non-empty string.");
+  if (raw.tagline !== undefined && typeof raw.tagline !== "string") errors.push("tagline must be a string.");
+  if (raw.assumptions !== undefined && (typeof raw.assumptions !== "object" || Array.isArray(raw.assumptions))) {
+    errors.push("assumptions must be an object.");
+  } else {
+    Object.entries(raw.assumptions ?? {}).forEach(([key, value]) => validateAssumption(key, value, errors));
+  }
+  if (!Array.isArray(raw.levers) || raw.levers.length === 0) {
+    errors.push("levers must be a non-empty list.");
+  } else {
+    const valid = raw.levers.filter((lever, i) => validateLever(lever, i, errors));
+    const keys = valid.map(l => l.baseKey);
+    keys.forEach((key, i) => { if (keys.indexOf(key) !== i) errors.push(`Two levers move "${key}".`); });
+  }
+  if (raw.segmentSeeds !== undefined) validateSegmentSeeds(raw.segmentSeeds, errors);
+  if (errors.length) return { errors };
+
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, ...raw.assumptions };
+  return {
+    profile: {
+      id: isText(raw.id) ? raw.id : raw.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+      name: raw.name.trim(),
+      tagline: raw.tagline ?? `An interactive model of ${raw.name.trim()}'s growth engine.`,
+      assumptions,
+      levers: raw.levers.map(lever => ({
+        ...customLever(assumptions, lever.baseKey, lever.direction),
+        custom: false,
+        subtitle: "",
+        ...lever,
+        id: isText(lever.id) ? lever.id : lever.baseKey,
+      })),
+      ...(raw.segmentSeeds ? { segmentSeeds: raw.segmentSeeds } : {}),
+    },
+  };
+}
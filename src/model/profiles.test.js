@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseProfile, assumptionErrors, DEFAULT_ASSUMPTIONS } from "./profiles.js";
+
+const lever = { baseKey: "churnRate", label: "Retention", targetValue: 2, min: 0.5, max: 10, step: 0.5 };
+const valid = { name: "Acme Pay", assumptions: { customers: 40 }, levers: [lever] };
+
+test("parseProfile fills in what a valid profile leaves out", () => {
+  const { profile, errors } = parseProfile(valid);
+  assert.equal(errors, undefined);
+  assert.equal(profile.id, "acme-pay");
+  assert.equal(profile.assumptions.customers, 40);
+  assert.equal(profile.assumptions.arpu, DEFAULT_ASSUMPTIONS.arpu);
+  assert.equal(profile.levers[0].id, "churnRate");
+  assert.equal(profile.levers[0].unit, "%");
+  assert.equal(profile.segmentSeeds, undefined);
+});
+
+test("parseProfile rejects a lever missing a field", () => {
+  const { label, ...noLabel } = lever;
+  const { step, ...noStep } = lever;
+  assert.deepEqual(parseProfile({ ...valid, levers: [noLabel] }).errors, ["levers[0].label must be a non-empty string."]);
+  assert.ok(parseProfile({ ...valid, levers: [noStep] }).errors.includes("levers[0].step must be a number."));
+  assert.deepEqual(parseProfile({ ...valid, levers: [{ ...lever, baseKey: "mood" }] }).errors,
+    ["levers[0].baseKey must name a numeric assumption."]);
+  assert.deepEqual(parseProfile({ ...valid, levers: [] }).errors, ["levers must be a non-empty list."]);
+});
+
+test("parseProfile rejects a lever whose range is upside down", () => {
+  const { errors } = parseProfile({ ...valid, levers: [{ ...lever, min: 10, max: 0.5 }] });
+  assert.ok(errors.includes("levers[0].min must be below max."));
+  assert.ok(errors.includes("levers[0].targetValue must sit inside min–max."));
+});
+
+test("parseProfile rejects two levers on the same assumption", () => {
+  const { errors } = parseProfile({ ...valid, levers: [lever, { ...lever, id: "retention-2" }] });
+  assert.deepEqual(errors, ['Two levers move "churnRate".']);
+});
+
+test("parseProfile rejects unknown and out-of-range assumptions", () => {
+  assert.deepEqual(parseProfile({ ...valid, assumptions: { mood: 3 } }).errors, ['Unknown assumption "mood".']);
+  assert.match(parseProfile({ ...valid, assumptions: { churnRate: -1 } }).errors[0], /assumptions\.churnRate must be between/);
+  assert.deepEqual(assumptionErrors({ retentionCurve: "wavy" }, "link").length, 1);
+});
+
+test("parseProfile checks segment seeds and keeps valid ones", () => {
+  const seeds = [
+    { id: "smb", name: "SMB", share: 70, scale: { arpu: 0.5 } },
+    { id: "ent", name: "Enterprise", share: 30, shift: { trialRate: -10 } },
+  ];
+  assert.deepEqual(parseProfile({ ...valid, segmentSeeds: seeds }).profile.segmentSeeds, seeds);
+  assert.deepEqual(parseProfile({ ...valid, segmentSeeds: [{ ...seeds[0], share: 70 }, { ...seeds[1], share: 20 }] }).errors,
+    ["segmentSeeds shares must add up to 100 (they add up to 90)."]);
+  assert.ok(parseProfile({ ...valid, segmentSeeds: [{ ...seeds[0], share: 120 }, { ...seeds[1], share: -20 }] }).errors
+    .includes("segmentSeeds[0].share must be between 0 and 100."));
+  assert.match(parseProfile({ ...valid, segmentSeeds: [{ ...seeds[0], share: 100, scale: { customers: 2 } }] }).errors[0],
+    /segmentSeeds\[0\]\.scale must map/);
+  assert.deepEqual(parseProfile({ ...valid, segmentSeeds: [] }).errors, ["segmentSeeds must be a non-empty list."]);
+});
+
+test("parseProfile rejects anything but an object", () => {
+  assert.deepEqual(parseProfile([]).errors, ["A profile must be a JSON object."]);
+  assert.deepEqual(parseProfile({ ...valid, name: " " }).errors, ["name must be a non-empty string."]);
+});
@@ -0,0 +1,33 @@
+/* The projection month by month, baseline beside scenario, for the data
+   table and its CSV export. */
+
+export const MONTHLY_COLUMNS = [
+  { key: "leads",            label: "Leads" },
+  { key: "newCustomers",     label: "New customers" },
+  { key: "churnedCustomers", label: "Churned customers" },
+  { key: "customers",        label: "Ending customers" },
+  { key: "mrr",              label: "MRR" },
+];
+
+/* One CSV field, quoted when it holds a quote, comma or newline. Text that
+   a spreadsheet would run as a formula (leading =, +, -, @) gets a leading
+   apostrophe; numbers are written as they are. */
+export function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "string" && /^[=+\-@\t\r]/.test(value) && !Number.isFinite(Number(value))
+    ? `'${value}` : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* One CSV row per month from month 0, each column as a baseline and a
+   scenario pair. Counts keep two decimals (the model runs on fractional
+   accounts); MRR is in whole dollars. */
+export function monthlyCSV(baseRows, projRows) {
+  const round = (key, value) => (key === "mrr" ? Math.round(value) : Math.round(value * 100) / 100);
+  const head = ["Month", ...MONTHLY_COLUMNS.flatMap(c => [`${c.label} (baseline)`, `${c.label} (scenario)`])];
+  const rows = projRows.map((row, m) => [
+    row.month,
+    ...MONTHLY_COLUMNS.flatMap(c => [round(c.key, baseRows[m][c.key]), round(c.key, row[c.key])]),
+  ]);
+  return [head, ...rows].map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
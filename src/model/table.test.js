@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_ASSUMPTIONS } from "./profiles.js";
+import { simulateMonths } from "./engine.js";
+import { MONTHLY_COLUMNS, csvCell, monthlyCSV } from "./table.js";
+
+test("csvCell quotes fields holding commas, quotes or newlines", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell("a, b"), '"a, b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(undefined), "");
+  assert.equal(csvCell(0), "0");
+});
+
+test("csvCell defuses text a spreadsheet would run as a formula", () => {
+  assert.equal(csvCell("=SUM(A1:A2)"), "'=SUM(A1:A2)");
+  assert.equal(csvCell("+1 upsell"), "'+1 upsell");
+  assert.equal(csvCell("-cut"), "'-cut");
+  assert.equal(csvCell("@admin"), "'@admin");
+  assert.equal(csvCell('=HYPERLINK("x","y")'), `"'=HYPERLINK(""x"",""y"")"`);
+  assert.equal(csvCell(-12.5), "-12.5");
+  assert.equal(csvCell("-12.5"), "-12.5");
+});
+
+test("monthlyCSV writes a header and one row per month from month 0", () => {
+  const baseline = simulateMonths(DEFAULT_ASSUMPTIONS, {}, 6);
+  const scenario = simulateMonths(DEFAULT_ASSUMPTIONS, { churnRate: 3 }, 6);
+  const lines = monthlyCSV(baseline, scenario).trimEnd().split("\n");
+  assert.equal(lines.length, 1 + 7);
+  assert.equal(lines[0], ["Month", ...MONTHLY_COLUMNS.flatMap(c => [`${c.label} (baseline)`, `${c.label} (scenario)`])].join(","));
+  assert.equal(lines[1].split(",")[0], "0");
+  assert.equal(lines[7].split(",").length, 1 + MONTHLY_COLUMNS.length * 2);
+  assert.equal(Number(lines[7].split(",").at(-1)), Math.round(scenario[6].mrr));
+});
@@ -0,0 +1,301 @@
+/* The projection as a spreadsheet that keeps working when its inputs are
+   edited: an Assumptions sheet of inputs feeding month-by-month Baseline and
+   Scenario sheets whose formulas follow simulateMonths step by step
+   (funnel delays, phased rollout, cohort churn by tenure, expansion and
+   repricing), and a Summary of MRR and lift on top. With segments, each
+   segment gets its own Baseline and Scenario sheets and the Summary adds
+   them up. Pass the result to writeXlsx. */
+
+import { ASSUMPTION_META, DAYS_PER_MONTH, FUNNEL_STAGES, SEGMENT_KEYS, assumptionMeta } from "./assumptions.js";
+import { segmentScenarios } from "./engine.js";
+import { columnName } from "./xlsx.js";
+
+/* Inputs that drive MRR; costs and cash aren't in the workbook. */
+const MODEL_GROUPS = ["business", "retention", "activation", "funnel", "lag"];
+
+/* Months of lead history ahead of month 0, enough to fill the pipeline at
+   the longest stage delays the inputs allow. */
+const HISTORY = FUNNEL_STAGES.length * (Math.ceil(ASSUMPTION_META.demoLag.max / DAYS_PER_MONTH) + 1);
+
+/* Phased columns on the model sheets, in order. */
+const PHASED_COLUMNS = [
+  { key: "churnRate",      label: "Churn %" },
+  { key: "arpu",           label: "ARPU $K" },
+  { key: "activationRate", label: "Activation %" },
+  { key: "demoRate",       label: "Lead → demo %" },
+  { key: "trialRate",      label: "Demo → trial %" },
+  { key: "paidRate",       label: "Trial → paid %" },
+];
+
+const title = (value) => ({ value, style: "title" });
+const note = (value) => ({ value, style: "note" });
+const header = (value) => ({ value, style: "header" });
+const input = (value) => ({ value, style: "input" });
+const formula = (text, style) => ({ formula: text, style });
+
+const quoted = (sheet) => `'${sheet.replace(/'/g, "''")}'`;
+const sheetName = (text) => text.replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+
+/* The Assumptions sheet and the defined names pointing into it: `key` for a
+   baseline value, `key_scenario` for its scenario value (blank = unchanged),
+   `key_start` and `key_ramp` for a phased key's rollout, and `key_segN` /
+   `key_segN_scenario` / `leadShare_segN` for segment values. */
+function assumptionsSheet(name, assumptions, values, rollout, months) {
+  const segments = assumptions.segments ?? [];
+  const parts = segmentScenarios(assumptions, values, rollout);
+  const names = {};
+  const ref = (row, col) => `${quoted("Assumptions")}!$${columnName(col)}$${row + 1}`;
+  const rows = [
+    [title(`${name} — assumptions`)],
+    [note("Blue cells are inputs. A scenario value replaces the baseline (leave it blank to keep the baseline); churn, ARPU, activation and funnel rates phase in from the rollout start month over the ramp, anything else applies from month 1.")],
+    [],
+    [header("Assumption"), header("Key"), header("Baseline"), header("Scenario"), header("Rollout start"), header("Ramp (months)")],
+  ];
+
+  Object.keys(ASSUMPTION_META).filter(key => MODEL_GROUPS.includes(ASSUMPTION_META[key].group)).forEach(key => {
+    const meta = assumptionMeta(assumptions, key);
+    const unit = `${meta.prefix}${meta.unit}`;
+    const perSegment = segments.length > 0 && SEGMENT_KEYS.includes(key);
+    const row = rows.length;
+    names[key] = ref(row, 2);
+    names[`${key}_scenario`] = ref(row, 3);
+    const cells = [
+      `${meta.label}${unit ? ` (${unit})` : ""}`, key, input(assumptions[key]),
+      perSegment ? note("per segment below") : input(values[key] ?? null),
+    ];
+    if (PHASED_COLUMNS.some(c => c.key === key)) {
+      names[`${key}_start`] = ref(row, 4);
+      names[`${key}_ramp`] = ref(row, 5);
+      cells.push(input(rollout[key]?.start ?? 1), input(rollout[key]?.ramp ?? 0));
+    }
+    rows.push(cells);
+  });
+
+  const textInput = (label, key, value, hint) => {
+    names[key] = ref(rows.length, 2);
+    rows.push([label, key, input(value), note(hint)]);
+  };
+  textInput("Retention curve", "retentionCurve", assumptions.retentionCurve, "flat, early-life or table");
+  textInput("Stage delay unit", "lagUnit", assumptions.lagUnit, "days or months");
+  textInput("ARPU change reaches", "arpuMode", rollout.arpu?.mode ?? "migrate", "migrate (existing customers too) or new (new customers only)");
+
+  rows.push([], [header("Survival table"), null, header("% active at month end")]);
+  const tableSize = Math.max(months, assumptions.survivalTable.length);
+  const tableStart = rows.length;
+  for (let age = 1; age <= tableSize; age++) {
+    rows.push([`Month ${age}`, null, input(assumptions.survivalTable[age - 1] ?? null)]);
+  }
+  names.survivalTable = `${ref(tableStart, 2)}:$C$${tableStart + tableSize}`;
+  rows[tableStart - 1].push(note("Used when the retention curve is \"table\"; fill from month 1 down. Past the table, monthly churn applies."));
+
+  if (segments.length) {
+    rows.push([], [header("Segments"), note("Segment values replace the top-level customers, ARPU, churn, activation and funnel rates; leads split by lead share.")]);
+    rows.push([
+      header("Segment"), header("Lead share"),
+      ...SEGMENT_KEYS.flatMap(key => [header(ASSUMPTION_META[key].label), header("Scenario")]),
+    ]);
+    segments.forEach((segment, i) => {
+      const row = rows.length;
+      const tag = `seg${i + 1}`;
+      names[`leadShare_${tag}`] = ref(row, 1);
+      SEGMENT_KEYS.forEach((key, k) => {
+        names[`${key}_${tag}`] = ref(row, 2 + k * 2);
+        names[`${key}_${tag}_scenario`] = ref(row, 3 + k * 2);
+      });
+      const overrides = parts[i].overrides;
+      rows.push([
+        segment.name, input(segment.leadShare),
+        ...SEGMENT_KEYS.flatMap(key => [input(segment[key]), input(overrides[key] ?? null)]),
+      ]);
+    });
+    const first = rows.length - segments.length;
+    names.totalLeadShare = `${ref(first, 1)}:$B$${rows.length}`;
+  }
+
+  return {
+    sheet: { name: "Assumptions", widths: [34, 18, 14, 14, 14, 14], freeze: 4, rows },
+    names,
+  };
+}
+
+/* One month-by-month model sheet: baseline ("baseline") or scenario, for the
+   whole business or one segment (1-based `segment`). Rows run from HISTORY
+   months before month 0 so the funnel delays have leads to draw on; new
+   customers, cohorts and MRR start at month 0. */
+function modelSheet(sheet, side, segment, months) {
+  const tag = segment ? `_seg${segment}` : "";
+  const perSegment = (key) => segment && SEGMENT_KEYS.includes(key);
+  const leadShare = `leadShare${tag}/IF(SUM(totalLeadShare)=0,1,SUM(totalLeadShare))`;
+  /* Value as the model starts from, and with the scenario applied. */
+  const base = (key) => {
+    if (perSegment(key)) return `${key}${tag}`;
+    if (segment && key === "leadsPerMonth") return `leadsPerMonth*${leadShare}`;
+    return key;
+  };
+  const target = (key) => {
+    if (side === "baseline") return base(key);
+    const scenario = perSegment(key) ? `${key}${tag}_scenario` : `${key}_scenario`;
+    const value = segment && key === "leadsPerMonth" ? `${scenario}*${leadShare}` : scenario;
+    return `IF(ISBLANK(${scenario}),${base(key)},${value})`;
+  };
+
+  const PARAMS = [
+    { label: "Lead → demo delay (mo)",  formula: `IF(lagUnit="months",${target("demoLag")},${target("demoLag")}/${DAYS_PER_MONTH})` },
+    { label: "Demo → trial delay (mo)", formula: `IF(lagUnit="months",${target("trialLag")},${target("trialLag")}/${DAYS_PER_MONTH})` },
+    { label: "Trial → paid delay (mo)", formula: `IF(lagUnit="months",${target("paidLag")},${target("paidLag")}/${DAYS_PER_MONTH})` },
+    { label: "Leads / month",           formula: target("leadsPerMonth") },
+    { label: "Lead growth %",           formula: target("leadGrowthRate") },
+    { label: "Activation weight %",     formula: target("activationWeight") },
+    { label: "Net expansion / mo",      formula: `1+(${target("expansionRate")}-${target("contractionRate")})/100` },
+    { label: "Starting customers",      formula: target("customers") },
+    { label: "Tenured churn %",         formula: base("churnRate") },
+    { label: "Baseline activation %",   formula: base("activationRate") },
+  ];
+  const param = (label) => `$${columnName(PARAMS.findIndex(p => p.label === label))}$4`;
+  const [demoLag, trialLag, paidLag] = ["Lead → demo delay (mo)", "Demo → trial delay (mo)", "Trial → paid delay (mo)"].map(param);
+
+  const COL = { month: 0, leads: 7, demos: 8, trials: 9, newCustomers: 10, churned: 11, customers: 12, mrr: 13, churnScale: 14, hazard: 15 };
+  PHASED_COLUMNS.forEach((c, i) => { COL[c.key] = 1 + i; });
+  const cohortCol = 17;
+  const revenueCol = cohortCol + months + 2;
+  const firstRow = 6;
+  const rowOf = (m) => firstRow + HISTORY + m;
+  const lastRow = rowOf(months);
+  const at = (col, m) => `$${columnName(col)}${rowOf(m) + 1}`;
+  const range = (col) => `$${columnName(col)}$${firstRow + 1}:$${columnName(col)}$${lastRow + 1}`;
+
+  /* Value of a column `lag` months earlier: a fractional delay splits the
+     flow between the two months it straddles; before the first row is 0. */
+  const lagged = (col, m, lag) => {
+    const back = `$A${rowOf(m) + 1}-INT(${lag})`;
+    return `(IF(${back}<-${HISTORY},0,INDEX(${range(col)},${back}+${HISTORY + 1}))*(1-MOD(${lag},1))`
+      + `+IF(${back}-1<-${HISTORY},0,INDEX(${range(col)},${back}+${HISTORY}))*MOD(${lag},1))`;
+  };
+  const phased = (key, m) => {
+    if (side === "baseline") return base(key);
+    const progress = `IF($A${rowOf(m) + 1}<${key}_start,0,IF(${key}_ramp>0,MIN(1,($A${rowOf(m) + 1}-${key}_start+1)/${key}_ramp),1))`;
+    return `${base(key)}+(${target(key)}-${base(key)})*${progress}`;
+  };
+  const hazard = (age) => {
+    const prev = age === 1 ? "100" : `INDEX(survivalTable,${age - 1})`;
+    return `IF(AND(retentionCurve="early-life",${age}<=${target("earlyLifeMonths")}),${target("earlyChurnRate")},`
+      + `IF(AND(retentionCurve="table",${age}<=COUNT(survivalTable)),IF(${prev}>0,(1-INDEX(survivalTable,${age})/${prev})*100,0),`
+      + `${param("Tenured churn %")}))`;
+  };
+
+  const label = side === "baseline" ? "Baseline" : "Scenario";
+  const rows = [
+    [title(`${label}${segment ? ` — ${sheet.segmentName}` : ""} — month by month`)],
+    [note(side === "baseline"
+      ? "No levers moved. Formulas read the Baseline column of the Assumptions sheet."
+      : "Levers applied: scenario values from the Assumptions sheet, phased in on each rollout.")],
+    PARAMS.map(p => header(p.label)),
+    PARAMS.map(p => formula(p.formula, "rate")),
+    [],
+    [
+      header("Month"), ...PHASED_COLUMNS.map(c => header(c.label)),
+      header("Leads"), header("Demos"), header("Trials"), header("New customers"), header("Churned customers"),
+      header("Customers"), header("MRR"), header("Churn scale"), header("Churn % at tenure = month"), null,
+      header("Customers by signup month →"),
+    ],
+  ];
+  rows[5][cohortCol] = header("Starting base");
+  for (let s = 1; s <= months; s++) rows[5][cohortCol + s] = header(`M${s} signups`);
+  rows[5][revenueCol] = header("Revenue $K: starting base");
+  for (let s = 1; s <= months; s++) rows[5][revenueCol + s] = header(`M${s} signups`);
+
+  for (let m = -HISTORY; m <= months; m++) {
+    const r = rowOf(m) + 1;
+    const row = [m < 0 ? { value: m, style: "note" } : m];
+    PHASED_COLUMNS.forEach(c => { row[COL[c.key]] = formula(phased(c.key, m), "rate"); });
+    row[COL.leads] = formula(`${param("Leads / month")}*(1+${param("Lead growth %")}/100)^$A${r}`, "count");
+    row[COL.demos] = formula(`${lagged(COL.leads, m, demoLag)}*${at(COL.demoRate, m)}/100`, "count");
+    row[COL.trials] = formula(`${lagged(COL.demos, m, trialLag)}*${at(COL.trialRate, m)}/100`, "count");
+    if (m >= 0) {
+      const weight = `${param("Activation weight %")}/100`;
+      row[COL.newCustomers] = m === 0 ? 0 : formula(
+        `${lagged(COL.trials, m, paidLag)}*${at(COL.paidRate, m)}/100`
+        + `*((${at(COL.activationRate, m)}/${param("Baseline activation %")})*${weight}+(1-${weight}))`, "count");
+      const cohorts = `${columnName(cohortCol)}${r}:${columnName(cohortCol + months)}${r}`;
+      const revenue = `${columnName(revenueCol)}${r}:${columnName(revenueCol + months)}${r}`;
+      row[COL.customers] = formula(`SUM(${cohorts})`, "count");
+      row[COL.churned] = m === 0 ? 0 : formula(`${at(COL.customers, m - 1)}+${at(COL.newCustomers, m)}-${at(COL.customers, m)}`, "count");
+      row[COL.mrr] = formula(`ROUND(SUM(${revenue})*1000,0)`, "money");
+      row[COL.churnScale] = formula(`IF(${param("Tenured churn %")}>0,${at(COL.churnRate, m)}/${param("Tenured churn %")},1)`, "rate");
+      if (m >= 1) row[COL.hazard] = formula(hazard(m), "rate");
+
+      for (let s = 0; s <= m; s++) {
+        const prev = m > 0 ? `${columnName(cohortCol + s)}${r - 1}` : null;
+        const churn = s === 0
+          ? `${param("Tenured churn %")}*${at(COL.churnScale, m)}`
+          : `${at(COL.hazard, m - s)}*${at(COL.churnScale, m)}`;
+        let customers;
+        if (s === 0) customers = m === 0 ? param("Starting customers") : `${prev}*(1-MIN(1,${churn}/100))`;
+        else customers = m === s ? at(COL.newCustomers, m) : `${prev}*(1-MIN(1,${churn}/100))`;
+        row[cohortCol + s] = formula(customers, "count");
+        const arpu = `IF(arpuMode="migrate",${at(COL.arpu, m)},${at(COL.arpu, s)})`;
+        row[revenueCol + s] = formula(`${columnName(cohortCol + s)}${r}*${arpu}*${param("Net expansion / mo")}^${m - s}`, "rate");
+      }
+    }
+    rows.push(row);
+  }
+
+  return {
+    name: sheet.name,
+    widths: [10, ...PHASED_COLUMNS.map(() => 13), 11, 11, 11, 13, 13, 12, 13, 11, 14],
+    freeze: firstRow,
+    rows,
+    mrrAt: (m) => `${quoted(sheet.name)}!${at(COL.mrr, m)}`,
+    customersAt: (m) => `${quoted(sheet.name)}!${at(COL.customers, m)}`,
+  };
+}
+
+/* Workbook for a scenario: `values` and `rollout` as simulateMonths takes
+   them, `months` the projection length and `name` the company's. */
+export function scenarioWorkbook({ name, assumptions, values, rollout, months }) {
+  const { sheet: inputs, names } = assumptionsSheet(name, assumptions, values, rollout, months);
+  const segments = assumptions.segments ?? [];
+  const parts = segments.length ? segments.map((seg, i) => ({ index: i + 1, name: seg.name })) : [{ index: null }];
+  const used = new Set(["Summary", "Assumptions"]);
+  const unique = (text) => {
+    let candidate = sheetName(text);
+    for (let n = 2; used.has(candidate); n++) candidate = sheetName(`${text.slice(0, 27)} ${n}`);
+    used.add(candidate);
+    return candidate;
+  };
+  const models = parts.flatMap(part => ["scenario", "baseline"].map(side => {
+    const label = side === "baseline" ? "Baseline" : "Scenario";
+    const sheet = { name: unique(part.index ? `${label} (${part.name})` : label), segmentName: part.name };
+    return { side, ...modelSheet(sheet, side, part.index, months) };
+  }));
+
+  const total = (side, field) => (m) => models.filter(model => model.side === side).map(model => model[field](m)).join("+");
+  const baselineMRR = total("baseline", "mrrAt");
+  const scenarioMRR = total("scenario", "mrrAt");
+  const summaryRows = [
+    [title(`${name} — Month ${months} MRR`)],
+    [note("Every figure here is a formula over the Assumptions sheet; edit the blue cells there and the workbook recalculates.")],
+    [],
+    [header("Baseline MRR"), header("Scenario MRR"), header("Lift")],
+    [formula(baselineMRR(months), "money"), formula(scenarioMRR(months), "money"), formula("IF(A5>0,(B5-A5)/A5*100,0)", "percent")],
+    [],
+    [header("Month"), header("Baseline MRR"), header("Scenario MRR"), header("Lift"), header("Baseline customers"), header("Scenario customers")],
+  ];
+  for (let m = 0; m <= months; m++) {
+    const r = summaryRows.length + 1;
+    summaryRows.push([
+      m, formula(baselineMRR(m), "money"), formula(scenarioMRR(m), "money"),
+      formula(`IF(B${r}>0,(C${r}-B${r})/B${r}*100,0)`, "percent"),
+      formula(total("baseline", "customersAt")(m), "count"), formula(total("scenario", "customersAt")(m), "count"),
+    ]);
+  }
+
+  return {
+    sheets: [
+      { name: "Summary", widths: [16, 16, 16, 12, 18, 18], freeze: 7, rows: summaryRows },
+      inputs,
+      ...models.map(({ name: sheet, widths, freeze, rows }) => ({ name: sheet, widths, freeze, rows })),
+    ],
+    names,
+  };
+}
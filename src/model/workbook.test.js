@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BUILT_IN_PROFILES } from "./profiles.js";
+import { rolloutFor } from "./levers.js";
+import { simulateMonths } from "./engine.js";
+import { scenarioWorkbook } from "./workbook.js";
+import { writeXlsx } from "./xlsx.js";
+
+const profile = BUILT_IN_PROFILES[0];
+const rollout = rolloutFor(profile.levers);
+const values = { churnRate: 3, arpu: 8, leadsPerMonth: 70 };
+const segments = [
+  { id: "s1", name: "Small", leadShare: 75, customers: 15, arpu: 4, churnRate: 6, activationRate: 35, demoRate: 45, trialRate: 65, paidRate: 55 },
+  { id: "s2", name: "Large", leadShare: 25, customers: 5, arpu: 12, churnRate: 2, activationRate: 30, demoRate: 40, trialRate: 50, paidRate: 55 },
+];
+
+/* Entries of a stored (uncompressed) zip, as path → text. */
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  for (let at = 0; view.getUint32(at, true) === 0x04034b50;) {
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const start = at + 30 + nameLength + view.getUint16(at + 28, true);
+    files[decoder.decode(bytes.subarray(at + 30, at + 30 + nameLength))] = decoder.decode(bytes.subarray(start, start + size));
+    at = start + size;
+  }
+  return files;
+}
+
+const cellAt = (ref) => ref.match(/\$([A-Z]+)\$(\d+)$/).slice(1).join("");
+
+test("the workbook packs a Summary, the inputs and one sheet per side", () => {
+  const workbook = scenarioWorkbook({ name: "Kita", assumptions: profile.assumptions, values, rollout, months: 6 });
+  const files = unzip(writeXlsx(workbook));
+  assert.deepEqual(Object.keys(files), [
+    "[Content_Types].xml", "_rels/.rels", "xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/styles.xml",
+    "xl/worksheets/sheet1.xml", "xl/worksheets/sheet2.xml", "xl/worksheets/sheet3.xml", "xl/worksheets/sheet4.xml",
+  ]);
+  const book = files["xl/workbook.xml"];
+  assert.deepEqual([...book.matchAll(/<sheet name="([^"]+)"/g)].map(m => m[1]), ["Summary", "Assumptions", "Scenario", "Baseline"]);
+  assert.match(book, /fullCalcOnLoad="1"/);
+  ["churnRate", "churnRate_scenario", "churnRate_start", "churnRate_ramp", "leadsPerMonth_scenario", "retentionCurve", "lagUnit"]
+    .forEach(name => assert.match(book, new RegExp(`<definedName name="${name}">'Assumptions'!\\$[A-Z]+\\$\\d+</definedName>`)));
+
+  const inputs = files["xl/worksheets/sheet2.xml"];
+  assert.match(inputs, new RegExp(`<c r="${cellAt(workbook.names.churnRate)}" s="4"><v>${profile.assumptions.churnRate}</v></c>`));
+  assert.match(inputs, new RegExp(`<c r="${cellAt(workbook.names.churnRate_scenario)}" s="4"><v>3</v></c>`));
+  assert.match(files["xl/worksheets/sheet1.xml"], /<c r="B13" s="6"><f>'Baseline'!\$[A-Z]+27<\/f><\/c>/);
+  assert.match(files["xl/worksheets/sheet3.xml"], /<f>IF\(ISBLANK\(leadsPerMonth_scenario\),leadsPerMonth,leadsPerMonth_scenario\)<\/f>/);
+});
+
+test("with segments, each gets its own sheets and its share of the leads", () => {
+  const workbook = scenarioWorkbook({ name: "Kita", assumptions: { ...profile.assumptions, segments }, values, rollout, months: 6 });
+  assert.deepEqual(workbook.sheets.map(s => s.name),
+    ["Summary", "Assumptions", "Scenario (Small)", "Baseline (Small)", "Scenario (Large)", "Baseline (Large)"]);
+  ["leadShare_seg1", "churnRate_seg1", "churnRate_seg2_scenario"].forEach(name => assert.ok(workbook.names[name], name));
+  const files = unzip(writeXlsx(workbook));
+  assert.ok(files["xl/worksheets/sheet3.xml"].includes(
+    "IF(ISBLANK(leadsPerMonth_scenario),leadsPerMonth*leadShare_seg1/IF(SUM(totalLeadShare)=0,1,SUM(totalLeadShare)),"
+    + "leadsPerMonth_scenario*leadShare_seg1/IF(SUM(totalLeadShare)=0,1,SUM(totalLeadShare)))"));
+});
+
+/* Month-6 MRR these workbooks recalculate to, checked in a spreadsheet
+   engine. The workbook's formulas restate simulateMonths, so if this fails
+   after an engine change, update workbook.js to match before the figures. */
+test("the engine still gives the figures the workbook was checked against", () => {
+  [
+    [profile.assumptions, 364147, 687597],
+    [{ ...profile.assumptions, segments }, 328006, 606889],
+  ].forEach(([assumptions, baseline, scenario]) => {
+    assert.equal(simulateMonths(assumptions, {}, 6)[6].mrr, baseline);
+    assert.equal(simulateMonths(assumptions, values, 6, rollout)[6].mrr, scenario);
+  });
+});
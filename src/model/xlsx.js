@@ -0,0 +1,133 @@
+/* A minimal .xlsx writer: inline-string and numeric cells, formulas, a few
+   fixed styles, column widths, frozen header rows and workbook-level names,
+   packed into an uncompressed zip. Formulas carry no cached values; the
+   workbook asks the spreadsheet to recalculate everything on open.
+
+   writeXlsx({ sheets: [{ name, widths?, freeze?, rows }], names? }) → Uint8Array
+
+   `rows` is a list of rows, each a list of cells: null (empty), a number, a
+   string, or { value?, formula?, style? } with the formula written without
+   its leading "=". `freeze` is the number of rows to keep in view. `names`
+   maps a defined name to its reference, e.g. { arpu: "'Inputs'!$C$5" }. */
+
+/* Style name → cell format index in styles.xml below. */
+const STYLES = { title: 1, header: 2, note: 3, input: 4, count: 5, money: 6, rate: 7, percent: 8 };
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="4"><numFmt numFmtId="164" formatCode="#,##0.0"/><numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0"/><numFmt numFmtId="166" formatCode="0.00"/><numFmt numFmtId="167" formatCode="+0.0&quot;%&quot;;-0.0&quot;%&quot;;0.0&quot;%&quot;"/></numFmts>
+<fonts count="5"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="13"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><i/><sz val="10"/><color rgb="FF808080"/><name val="Calibri"/></font><font><sz val="11"/><color rgb="FF0000FF"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFFFF8DC"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="9"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="3" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="4" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="167" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/* 0 → "A", 26 → "AA". */
+export function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function cellXml(cell, ref) {
+  if (cell === null || cell === undefined) return "";
+  const { value, formula, style } = typeof cell === "object" ? cell : { value: cell };
+  const s = style ? ` s="${STYLES[style]}"` : "";
+  if (formula !== undefined) return `<c r="${ref}"${s}><f>${escapeXml(formula)}</f></c>`;
+  if (typeof value === "number") return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (value === undefined || value === null || value === "") return s ? `<c r="${ref}"${s}/>` : "";
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml({ rows, widths = [], freeze = 0 }) {
+  const pane = freeze > 0
+    ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${freeze}" topLeftCell="A${freeze + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+    : "";
+  const cols = widths.length
+    ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join("")}</cols>`
+    : "";
+  const body = rows.map((row, r) => {
+    const cells = (row ?? []).map((cell, c) => cellXml(cell, `${columnName(c)}${r + 1}`)).join("");
+    return cells ? `<row r="${r + 1}">${cells}</row>` : "";
+  }).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${pane}${cols}<sheetData>${body}</sheetData></worksheet>`;
+}
+
+function workbookXml(sheets, names) {
+  const definedNames = Object.entries(names)
+    .map(([name, ref]) => `<definedName name="${escapeXml(name)}">${escapeXml(ref)}</definedName>`).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets>
+${definedNames ? `<definedNames>${definedNames}</definedNames>` : ""}<calcPr calcId="191029" fullCalcOnLoad="1"/>
+</workbook>`;
+}
+
+function packageFiles(sheets, names) {
+  const sheetPath = (i) => `xl/worksheets/sheet${i + 1}.xml`;
+  return [
+    ["[Content_Types].xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((_, i) => `<Override PartName="/${sheetPath(i)}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>`],
+    ["_rels/.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ["xl/workbook.xml", workbookXml(sheets, names)],
+    ["xl/_rels/workbook.xml.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`],
+    ["xl/styles.xml", STYLES_XML],
+    ...sheets.map((sheet, i) => [sheetPath(i), sheetXml(sheet)]),
+  ];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/* Zip archive with every entry stored as is (method 0). Timestamps are
+   fixed at 1980-01-01, the earliest zip date, so the same input gives the
+   same bytes. */
+function zipStored(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(([path, text]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(text);
+    return { name, data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let at = 0;
+  const u16 = (v) => { view.setUint16(at, v, true); at += 2; };
+  const u32 = (v) => { view.setUint32(at, v, true); at += 4; };
+  const bytes = (b) => { out.set(b, at); at += b.length; };
+  const common = (e) => { u16(20); u16(0x0800); u16(0); u16(0); u16(0x21); u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); };
+
+  const offsets = entries.map(e => {
+    const offset = at;
+    u32(0x04034b50); common(e); bytes(e.name); bytes(e.data);
+    return offset;
+  });
+  entries.forEach((e, i) => {
+    u32(0x02014b50); u16(20); common(e); u16(0); u16(0); u16(0); u32(0); u32(offsets[i]); bytes(e.name);
+  });
+  u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length); u32(centralSize); u32(localSize); u16(0);
+  return out;
+}
+
+export function writeXlsx({ sheets, names = {} }) {
+  return zipStored(packageFiles(sheets, names));
+}
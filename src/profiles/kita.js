@@ -0,0 +1,133 @@
+/* Built-in company profile: Kita (YC W26), document intelligence for lending
+   in emerging markets. Other profiles use the same shape and are loaded from
+   JSON through the profile picker. */
+export default {
+  id: "kita",
+  name: "Kita",
+  tagline: "An interactive model of Kita's growth engine. Start by checking the assumptions, then tap each lever to see the strategy — and drag sliders to see how the numbers move.",
+  assumptions: {
+    customers: 20,
+    arpu: 6,
+    churnRate: 5,
+    activationRate: 35,
+    activationWeight: 40,
+    leadsPerMonth: 50,
+    demoRate: 45,
+    trialRate: 65,
+    paidRate: 55,
+    leadGrowthRate: 8,
+    retentionCurve: "early-life",
+    earlyChurnRate: 10,
+    earlyLifeMonths: 3,
+    survivalTable: [],
+    expansionRate: 1,
+    contractionRate: 0.5,
+    lagUnit: "days",
+    demoLag: 7,
+    trialLag: 14,
+    paidLag: 35,
+    costPerLead: 400,
+    salesCostPerDemo: 1500,
+    onboardingCost: 5000,
+    headcount: 10,
+    costPerHead: 12,
+    hiresPerMonth: 0.5,
+    otherOpex: 25,
+    grossMargin: 80,
+    startingCash: 3000,
+    segments: [],
+  },
+  levers: [
+    {
+      id: "churn",
+      label: "Retention",
+      subtitle: "Tenured monthly churn — scales the whole curve",
+      unit: "%",
+      baseKey: "churnRate",
+      targetValue: 2,
+      min: 0.5,
+      max: 10,
+      step: 0.5,
+      direction: "lower-is-better",
+      rollout: { start: 1, ramp: 3 },
+      insight: "At this stage, churn isn't a math problem — it's a diagnostic. Each lost customer is a case study in what's not working. If your early customers are staying, that's your PMF signal: you're ready to scale acquisition. If they're not, more leads won't fix it — you'd be spending to fill a pool you haven't sealed.",
+      tactics: [
+        "Health Score dashboard: flag accounts when doc volume drops >30% MoM",
+        "Recovery playbook: auto-email (Day 1) → call (Day 3) → incentive (Day 7) → founder outreach (Day 14)",
+        "Monthly check-in emails showing ROI: fraud caught, hours saved, cost reduced — takes 10 min to personalize",
+        "Weekly value reports: e.g. \"You caught 3 frauds worth ₱400K this week\""
+      ],
+      analogy: "Think of early customers like a beta test with real stakes. You're not optimizing a funnel yet — you're learning whether the product delivers what you promised. Retention at this stage tells you whether to step on the gas or fix the engine first.",
+      plan: {
+        title: "Build an automated early-warning system for churn",
+        what: "Design a lightweight health score that runs off existing product data — doc volume trends, login frequency, error rates. Wire it to automated email triggers so at-risk accounts get a nudge without anyone manually monitoring a dashboard. At this stage, it doubles as a learning tool: every churn signal teaches you what to fix in the product before you scale.",
+        deliverable: "Health score logic + automated email sequences (built in product or a simple tool like Customer.io)",
+        metric: "Catch at-risk accounts 14 days before they'd otherwise go silent",
+      },
+    },
+    {
+      id: "arpu",
+      label: "Monetization",
+      subtitle: "Average revenue per user",
+      unit: "K",
+      prefix: "$",
+      baseKey: "arpu",
+      targetValue: 9,
+      min: 2,
+      max: 20,
+      step: 0.5,
+      direction: "higher-is-better",
+      rollout: { start: 1, ramp: 6, mode: "migrate" },
+      insight: "If Kita saves a customer, say, $100K/year in fraud losses, then a $20K/year price point (20% of value delivered) becomes easy to justify. A Van Westendorp survey on your current base would reveal the actual acceptable range — most B2B infra companies are underpriced early on.",
+      tactics: [
+        "Run Van Westendorp pricing survey to find your actual acceptable price range",
+        "Structure Good-Better-Best tiers using MaxDiff feature ranking from customers",
+        "Expand within accounts: bank statements → payslips, utility bills, tax docs",
+        "Proactive outreach when customers hit 80% of their tier volume limit"
+      ],
+      analogy: "Like a gym membership — some members only use the treadmill. Show them the pool, the classes, the sauna. Same customer, 3× the value captured.",
+      plan: {
+        title: "Run the pricing research that unlocks ARPU",
+        what: "Deploy a Van Westendorp survey to existing customers to find the actual acceptable price range. Run a MaxDiff survey to rank which features customers value most. Use both to draft a Good-Better-Best tier structure. This is a one-time research sprint that pays for itself — you only need to do it once to know if you're leaving money on the table.",
+        deliverable: "Pricing research report + proposed tier structure + migration plan for existing customers",
+        metric: "Confirm whether current pricing sits below the Point of Marginal Cheapness",
+      },
+    },
+    {
+      id: "activation",
+      label: "Activation",
+      subtitle: "% reaching Aha! in 14 days",
+      unit: "%",
+      baseKey: "activationRate",
+      targetValue: 60,
+      min: 10,
+      max: 90,
+      step: 5,
+      direction: "higher-is-better",
+      rollout: { start: 1, ramp: 2 },
+      insight: "Every customer that doesn't activate is acquisition spend wasted. The typical drop-off in developer-facing B2B products is at integration — going from \"signed\" to \"actually running in production.\" Reducing that friction directly multiplies your funnel efficiency.",
+      tactics: [
+        "White-glove setup call within 48 hours of contract signing",
+        "Integration wizard: auto-configure API + code samples by document type",
+        "\"Test mode\" with dummy data — zero real integration needed to see value",
+        "\"First 1,000 docs free\" to de-risk the integration investment"
+      ],
+      analogy: "Like a restaurant where most customers leave before tasting the food. The kitchen is great — the problem is the 45-minute wait for a table.",
+      plan: {
+        title: "Cut the integration drop-off in half",
+        what: "Map the current onboarding funnel with real data, identify the exact step where the biggest drop happens, and design a self-serve integration wizard that auto-configures the API based on document types. Add a \"test mode\" with dummy data so prospects see value before writing a single line of code. The goal: get customers to Aha! without needing a founder on a call every time.",
+        deliverable: "Funnel analysis + integration wizard PRD + test mode prototype",
+        metric: "Activation rate from 35% → 50% within the first cohort",
+      },
+    }
+  ],
+  /* Starting split when the model is first broken into segments: most leads
+     are small digital lenders, a minority are banks with bigger contracts,
+     slower trials and stickier retention. `share` is each segment's share of
+     leads and customers; `scale` multiplies and `shift` adds to the
+     single-segment values. */
+  segmentSeeds: [
+    { id: "lenders", name: "Digital lenders", share: 80, scale: { arpu: 0.75, churnRate: 1.2 } },
+    { id: "banks", name: "Banks", share: 20, scale: { arpu: 2, churnRate: 0.4 }, shift: { activationRate: -10, trialRate: -15 } },
+  ],
+};